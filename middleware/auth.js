@@ -0,0 +1,238 @@
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+const Role = require('../models/Role');
+const { getAccountBlock } = require('../utils/accountStatus');
+
+// Only write Session.lastSeenAt once per interval to avoid a write per request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+const PASSWORD_CHANGE_REQUIRED = {
+  success: false,
+  message: 'You must change your password before continuing',
+  code: 'PASSWORD_CHANGE_REQUIRED',
+};
+
+const TWO_FACTOR_SETUP_REQUIRED = {
+  success: false,
+  message: 'You must set up two-factor authentication before continuing',
+  code: 'TWO_FACTOR_SETUP_REQUIRED',
+};
+
+// REQUIRE_SUPER_ADMIN_2FA=true makes TOTP mandatory for super admins
+const isTwoFactorSetupRequired = (admin) => {
+  return process.env.REQUIRE_SUPER_ADMIN_2FA === 'true' &&
+    admin.role === 'super_admin' &&
+    !(admin.twoFactor && admin.twoFactor.enabled);
+};
+
+// Place before verifyAdminToken/verifyUserToken on routes that must stay
+// reachable while the account has an outstanding requirement (e.g. a forced
+// password change) - typically the route that resolves it
+const allowPendingRequirements = (req, res, next) => {
+  req.allowPendingRequirements = true;
+  next();
+};
+
+const getBearerToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Middleware to verify admin token
+const verifyAdminToken = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route',
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized as admin',
+      });
+    }
+
+    req.admin = await Admin.findById(decoded.id);
+
+    if (!req.admin || !req.admin.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Admin account not found or inactive',
+      });
+    }
+
+    // Token issued before a logout-all, password change or role change
+    if ((decoded.tv || 0) !== (req.admin.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked. Please log in again.',
+      });
+    }
+
+    if (decoded.jti && await RevokedToken.exists({ jti: decoded.jti })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked. Please log in again.',
+      });
+    }
+
+    if (!req.allowPendingRequirements) {
+      if (req.admin.mustChangePassword) {
+        return res.status(403).json(PASSWORD_CHANGE_REQUIRED);
+      }
+      if (isTwoFactorSetupRequired(req.admin)) {
+        return res.status(403).json(TWO_FACTOR_SETUP_REQUIRED);
+      }
+    }
+
+    req.tokenPayload = decoded;
+
+    next();
+  } catch (error) {
+    console.error('Admin auth error:', error);
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route',
+    });
+  }
+};
+
+// Permissions of the signed-in admin's role, looked up once per request
+const getAdminPermissions = async (req) => {
+  if (!req.adminPermissions) {
+    req.adminPermissions = await Role.getPermissions(req.admin.role);
+  }
+  return req.adminPermissions;
+};
+
+const hasPermission = async (req, permission) => {
+  return (await getAdminPermissions(req)).includes(permission);
+};
+
+// Use after verifyAdminToken; the admin's role must grant every permission listed
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const granted = await getAdminPermissions(req);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action',
+          code: 'PERMISSION_DENIED',
+          missingPermissions: missing,
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while checking permissions',
+      });
+    }
+  };
+};
+
+// Middleware to verify a user access token issued by /api/auth/login or /refresh
+const verifyUserToken = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route',
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Admin tokens and legacy tokens without a session are not accepted here
+    if (decoded.isAdmin || !decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route',
+      });
+    }
+
+    const session = await Session.findById(decoded.sid);
+
+    if (!session || session.revokedAt || session.expiresAt <= Date.now() ||
+        String(session.user) !== String(decoded.id)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please log in again.',
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Logged out of all devices or changed password since this token was issued
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked. Please log in again.',
+      });
+    }
+
+    const block = getAccountBlock(user);
+    if (block) {
+      return res.status(block.statusCode).json(block.body);
+    }
+
+    if (user.mustChangePassword && !req.allowPendingRequirements) {
+      return res.status(403).json(PASSWORD_CHANGE_REQUIRED);
+    }
+
+    if (Date.now() - session.lastSeenAt > LAST_SEEN_UPDATE_INTERVAL_MS) {
+      await Session.updateOne(
+        { _id: session._id },
+        { $set: { lastSeenAt: new Date(), ip: req.ip } }
+      );
+    }
+
+    req.user = user;
+    req.userSession = session;
+    req.tokenPayload = decoded;
+
+    next();
+  } catch (error) {
+    console.error('User auth error:', error);
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route',
+    });
+  }
+};
+
+module.exports = {
+  isTwoFactorSetupRequired,
+  allowPendingRequirements,
+  verifyAdminToken,
+  verifyUserToken,
+  getAdminPermissions,
+  hasPermission,
+  requirePermission,
+};
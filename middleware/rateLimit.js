@@ -0,0 +1,182 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { normalizePhone } = require('../utils/phone');
+
+// Fixed-window counters kept in process memory. Fine for a single instance;
+// use RATE_LIMIT_STORE=mongo when running several.
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+      this.prune(now);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  // Drop expired windows so the map doesn't grow without bound
+  prune(now) {
+    if (this.hits.size < 10000) {
+      return;
+    }
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+// Fixed-window counters in MongoDB, shared across instances
+class MongoStore {
+  async increment(key, windowMs) {
+    const now = new Date();
+
+    let counter = await RateLimitCounter.findOneAndUpdate(
+      { key, expiresAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+
+    if (!counter) {
+      // No live window: start one (replacing an expired counter the TTL
+      // monitor hasn't removed yet)
+      counter = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        { $set: { count: 1, expiresAt: new Date(now.getTime() + windowMs) } },
+        { new: true, upsert: true }
+      );
+    }
+
+    return { count: counter.count, resetAt: counter.expiresAt.getTime() };
+  }
+
+  async reset(key) {
+    await RateLimitCounter.deleteOne({ key });
+  }
+}
+
+let store;
+
+const getStore = () => {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'mongo' ? new MongoStore() : new MemoryStore();
+  }
+  return store;
+};
+
+// Create a rate limiting middleware.
+//   name         - namespace for the counters (e.g. 'login-ip')
+//   windowMs     - length of the window
+//   max          - requests allowed per key per window
+//   keyGenerator - (req) => key, or null/undefined to skip limiting the request
+const createRateLimiter = ({ name, windowMs, max, keyGenerator = (req) => req.ip, message }) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) {
+        return next();
+      }
+
+      const { count, resetAt } = await getStore().increment(`${name}:${key}`, windowMs);
+      const remaining = Math.max(0, max - count);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(Math.ceil((resetAt - Date.now()) / 1000)));
+
+      if (count > max) {
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfter));
+        console.log(`Rate limit exceeded (${name}) for ${key}`);
+
+        return res.status(429).json({
+          success: false,
+          message: message || 'Too many requests. Please try again later.',
+          retryAfter,
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Never lock everyone out because the counter store is unavailable
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+const intFromEnv = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const WINDOW_MS = intFromEnv('RATE_LIMIT_WINDOW_MINUTES', 15) * 60 * 1000;
+
+// Lowercase emails/usernames so "Admin" and "admin" share a counter, and
+// count every spelling of a phone number against the same key
+const normalizeKey = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  return normalizePhone(value) || value.trim().toLowerCase();
+};
+
+// Login attempts from one IP, across all accounts
+const loginIpLimiter = createRateLimiter({
+  name: 'login-ip',
+  windowMs: WINDOW_MS,
+  max: intFromEnv('LOGIN_RATE_LIMIT_PER_IP', 20),
+  message: 'Too many login attempts from this IP. Please try again later.',
+});
+
+// Login attempts against one account, from any IP
+const userLoginIdentifierLimiter = createRateLimiter({
+  name: 'login-user',
+  windowMs: WINDOW_MS,
+  max: intFromEnv('LOGIN_RATE_LIMIT_PER_IDENTIFIER', 10),
+  keyGenerator: (req) => normalizeKey(req.body && req.body.identifier),
+  message: 'Too many login attempts for this account. Please try again later.',
+});
+
+const adminLoginIdentifierLimiter = createRateLimiter({
+  name: 'login-admin',
+  windowMs: WINDOW_MS,
+  max: intFromEnv('LOGIN_RATE_LIMIT_PER_IDENTIFIER', 10),
+  keyGenerator: (req) => normalizeKey(req.body && req.body.username),
+  message: 'Too many login attempts for this account. Please try again later.',
+});
+
+// Public lookups that reveal whether an account exists (check-status)
+const lookupLimiter = createRateLimiter({
+  name: 'lookup-ip',
+  windowMs: WINDOW_MS,
+  max: intFromEnv('LOOKUP_RATE_LIMIT_PER_IP', 30),
+});
+
+// Endpoints that send or check one-time codes
+const codeLimiter = createRateLimiter({
+  name: 'code-ip',
+  windowMs: WINDOW_MS,
+  max: intFromEnv('CODE_RATE_LIMIT_PER_IP', 10),
+});
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  createRateLimiter,
+  loginIpLimiter,
+  userLoginIdentifierLimiter,
+  adminLoginIdentifierLimiter,
+  lookupLimiter,
+  codeLimiter,
+};
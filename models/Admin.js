@@ -22,10 +22,12 @@ const adminSchema = new mongoose.Schema({
     minlength: 6,
     select: false, // Don't return password by default
   },
+  // Name of a Role (models/Role.js) - built in are 'admin' and 'super_admin'
   role: {
     type: String,
-    enum: ['admin', 'super_admin'],
     default: 'admin',
+    trim: true,
+    lowercase: true,
   },
   isActive: {
     type: Boolean,
@@ -34,18 +36,93 @@ const adminSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
   },
+  // Set for admins created or invited through /api/admin/admins
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  invitedAt: {
+    type: Date,
+  },
+  // Brute-force protection - see utils/lockout.js
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedLoginAt: {
+    type: Date,
+  },
+  lockUntil: {
+    type: Date,
+  },
+  // Bumped to invalidate every token issued before (logout all devices,
+  // password or role change)
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  // Set by an admin to force a new password at next login
+  mustChangePassword: {
+    type: Boolean,
+    default: false,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  // TOTP two-factor authentication (utils/totp.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secret generated by /2fa/setup, promoted to `secret` once confirmed
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of unused single-use recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+    },
+    enabledAt: {
+      type: Date,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Revoke existing tokens when credentials or privileges change
+adminSchema.pre('save', function (next) {
+  if (!this.isNew && (this.isModified('password') || this.isModified('role'))) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  next();
+});
+
 // Hash password before saving
 adminSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
     return next();
   }
 
+  // Choosing a new password satisfies a forced change
+  if (!this.isNew) {
+    this.mustChangePassword = false;
+  }
+  this.passwordChangedAt = Date.now();
+
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
   next();
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Record of one admin action. Written by services/audit.js only and never
+// updated afterwards.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+  },
+  // Kept so entries stay readable after the admin is deleted
+  actorUsername: {
+    type: String,
+  },
+  // e.g. user.approve, settings.update, admin.role_change
+  action: {
+    type: String,
+    required: true,
+  },
+  target: {
+    type: {
+      type: String,
+    },
+    id: {
+      type: String,
+    },
+    // Human readable identifier (phone, username, setting key ...)
+    label: {
+      type: String,
+    },
+  },
+  // Only the fields that changed
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  // Full copy of a deleted document
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One entry per user login or token refresh, for the admin analytics
+// (logins and active users over time). Kept for LOGIN_EVENT_RETENTION_DAYS.
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['login', 'refresh'],
+    required: true,
+  },
+  platform: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+loginEventSchema.index({ createdAt: 1, type: 1 });
+loginEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Short numeric codes sent by SMS/email (password reset, phone verification).
+// Only a keyed hash of the code is stored.
+const oneTimeCodeSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'accountModel',
+    required: true,
+  },
+  accountModel: {
+    type: String,
+    enum: ['User', 'Admin'],
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'phone_verification'],
+    required: true,
+  },
+  codeHash: {
+    type: String,
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'email'],
+  },
+  destination: {
+    type: String,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  usedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+oneTimeCodeSchema.index({ account: 1, accountModel: 1, purpose: 1 });
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OneTimeCode', oneTimeCodeSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Fixed-window hit counters for the Mongo rate limit store, shared by every
+// server instance. Expired windows are removed by the TTL index.
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
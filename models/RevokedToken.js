@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Denylist of individual JWTs (by jti) revoked before their natural expiry
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'subjectModel',
+  },
+  subjectModel: {
+    type: String,
+    enum: ['User', 'Admin'],
+  },
+  reason: {
+    type: String,
+  },
+  // Copied from the token's exp claim - the entry is useless after that
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const {
+  ALL_PERMISSIONS,
+  SUPER_ADMIN_ROLE,
+  BUILT_IN_ROLES,
+  isValidPermission,
+} = require('../utils/permissions');
+
+// A named bundle of permissions, referenced by Admin.role
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a role name'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]{1,49}$/, 'Role names are 2-50 lowercase letters, digits or underscores'],
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(isValidPermission),
+      message: 'Unknown permission in role',
+    },
+  },
+  // Built-in roles can be edited (except super_admin) but not deleted
+  isBuiltIn: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+// Permissions granted by a role name. super_admin always gets everything.
+roleSchema.statics.getPermissions = async function (name) {
+  if (name === SUPER_ADMIN_ROLE) {
+    return ALL_PERMISSIONS;
+  }
+
+  const role = await this.findOne({ name }).select('permissions').lean();
+  if (role) {
+    return role.permissions;
+  }
+
+  // Built-in role not created yet (e.g. the server hasn't finished starting)
+  const builtIn = BUILT_IN_ROLES.find(r => r.name === name);
+  return builtIn ? builtIn.permissions : [];
+};
+
+// Create any missing built-in roles; existing ones are left as configured
+roleSchema.statics.ensureBuiltInRoles = async function () {
+  for (const role of BUILT_IN_ROLES) {
+    await this.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, isBuiltIn: true } },
+      { upsert: true }
+    );
+  }
+};
+
+module.exports = mongoose.model('Role', roleSchema);
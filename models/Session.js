@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // SHA-256 of the current refresh token - the raw token is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Hashes of tokens already rotated out, used to detect refresh token reuse
+  previousTokenHashes: {
+    type: [String],
+    index: true,
+    select: false,
+  },
+  device: {
+    deviceId: { type: String, trim: true },
+    deviceName: { type: String, trim: true },
+    platform: { type: String, trim: true, lowercase: true },
+    appVersion: { type: String, trim: true },
+    userAgent: { type: String },
+  },
+  ip: {
+    type: String,
+  },
+  // User.tokenVersion when the session was created; a mismatch means the user
+  // has since logged out of all devices or changed their password
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastRotatedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+// Let MongoDB remove sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One entry per change of a setting, numbered per key from 1, so any earlier
+// value can be looked up and rolled back to
+const settingVersionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  previousValue: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // Version whose value this change restored
+  rollbackOf: {
+    type: Number,
+  },
+  // Empty for values recorded from before history was kept
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  changedByUsername: {
+    type: String,
+  },
+  note: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Also stops two concurrent writes from taking the same version number
+settingVersionSchema.index({ key: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('SettingVersion', settingVersionSchema);
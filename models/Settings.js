@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+// Stored values of the settings declared in utils/settingsRegistry.js,
+// read and written through services/settings.js
 const settingsSchema = new mongoose.Schema({
   key: {
     type: String,
@@ -7,13 +9,18 @@ const settingsSchema = new mongoose.Schema({
     unique: true,
     index: true,
   },
+  // Typed per the registry: string, boolean, number or JSON
   value: {
-    type: String,
+    type: mongoose.Schema.Types.Mixed,
     required: true,
   },
   description: {
     type: String,
   },
+  // Latest entry in the setting's history (models/SettingVersion.js)
+  version: {
+    type: Number,
+  },
   updatedAt: {
     type: Date,
     default: Date.now,
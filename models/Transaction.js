@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One balance movement for a user. Written by services/ledger.js only.
+const transactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['deposit', 'withdrawal', 'adjustment', 'bonus'],
+    required: true,
+  },
+  // Signed: positive credits the balance, negative debits it
+  amount: {
+    type: Number,
+    required: true,
+  },
+  balanceBefore: {
+    type: Number,
+  },
+  balanceAfter: {
+    type: Number,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  // Client-supplied key so a retried request is applied only once
+  idempotencyKey: {
+    type: String,
+  },
+  // 'pending' only while the balance update is in flight
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'pending',
+  },
+}, {
+  timestamps: true,
+});
+
+transactionSchema.index({ user: 1, createdAt: -1 });
+transactionSchema.index(
+  { user: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Transaction', transactionSchema);
@@ -1,6 +1,39 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// One entry in a user's status timeline
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+  },
+  previousStatus: {
+    type: String,
+  },
+  // Code from utils/statusReasons.js
+  reasonCode: {
+    type: String,
+  },
+  // Internal note, never shown to the user
+  note: {
+    type: String,
+  },
+  // Empty for changes made by the system (e.g. signup)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  changedByUsername: {
+    type: String,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  _id: false,
+});
+
 const userSchema = new mongoose.Schema({
   phone: {
     type: String,
@@ -8,6 +41,14 @@ const userSchema = new mongoose.Schema({
     unique: true,
     trim: true,
   },
+  // Set once the user has entered the OTP sent to their phone
+  phoneVerified: {
+    type: Boolean,
+    default: false,
+  },
+  phoneVerifiedAt: {
+    type: Date,
+  },
   email: {
     type: String,
     trim: true,
@@ -27,18 +68,125 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Latest ledger transactions applied to the balance, written in the same
+  // update as the balance so services/ledger.js can settle a Transaction
+  // left pending by a crash
+  ledgerApplied: {
+    type: [{
+      transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+      balanceAfter: { type: Number },
+      _id: false,
+    }],
+    select: false,
+  },
   status: {
     type: String,
     enum: ['pending', 'approved', 'rejected'],
     default: 'pending',
   },
+  // Reason given with the latest approval/rejection
+  statusReason: {
+    code: {
+      type: String,
+    },
+    note: {
+      type: String,
+    },
+  },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: [],
+  },
   isActive: {
     type: Boolean,
     default: true,
   },
+  // Admin-assigned groups (e.g. "beta", "vip") that WebView URL rules can target
+  segments: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+    }],
+    default: [],
+  },
+  // Store reviewer / demo accounts, managed via /api/admin/demo-accounts
+  isDemo: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
+  demo: {
+    label: {
+      type: String,
+      trim: true,
+    },
+    // Show the game guide instead of the live WebView
+    showGames: {
+      type: Boolean,
+      default: true,
+    },
+    // Balance reported to the app instead of the real one
+    fixedBalance: {
+      type: Number,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
   lastLogin: {
     type: Date,
   },
+  // Brute-force protection - see utils/lockout.js
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedLoginAt: {
+    type: Date,
+  },
+  lockUntil: {
+    type: Date,
+  },
+  // Bumped to invalidate every token issued before (logout all devices, password change)
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  // Set by an admin to force a new password at next login
+  mustChangePassword: {
+    type: Boolean,
+    default: false,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  // Soft delete - see services/userDeletion.js. Deleted users are left out
+  // of every query unless it asks for them (see the query hook below).
+  deletedAt: {
+    type: Date,
+    index: true,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  deletedByUsername: {
+    type: String,
+  },
+  // Phone and email moved here when deletion frees them for re-registration
+  releasedIdentifiers: {
+    phone: {
+      type: String,
+    },
+    email: {
+      type: String,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -54,6 +202,13 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
     return next();
   }
+
+  // A new password logs the user out everywhere and satisfies a forced change
+  if (!this.isNew) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+    this.mustChangePassword = false;
+  }
+  this.passwordChangedAt = Date.now();
   
   try {
     const salt = await bcrypt.genSalt(10);
@@ -64,11 +219,77 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Admin user list filters and sorts (utils/userFilters.js)
+userSchema.index({ status: 1, createdAt: -1 });
+userSchema.index({ createdAt: -1 });
+userSchema.index({ lastLogin: -1 });
+userSchema.index({ balance: -1 });
+userSchema.index({ email: 1 });
+userSchema.index({ username: 1 });
+
+// Hide soft-deleted users from every query, unless the filter mentions
+// deletedAt or the query opts in with .setOptions({ withDeleted: true })
+userSchema.pre([
+  'find',
+  'findOne',
+  'countDocuments',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'updateOne',
+  'updateMany',
+], function() {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+    return;
+  }
+  this.where({ deletedAt: null });
+});
+
+// Same for aggregations (e.g. the admin analytics), which skip query hooks;
+// a pipeline starting with a $match on deletedAt opts in
+userSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (first && first.$match && first.$match.deletedAt !== undefined) {
+    return;
+  }
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+// Start the timeline with the status the account was created in
+userSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedAt: this.createdAt });
+  }
+  next();
+});
+
+// Change status and record it in the timeline; call save() afterwards
+userSchema.methods.setStatus = function(status, { reasonCode, note, admin } = {}) {
+  this.statusHistory.push({
+    status,
+    previousStatus: this.status,
+    reasonCode,
+    note,
+    changedBy: admin ? admin._id : undefined,
+    changedByUsername: admin ? admin.username : undefined,
+  });
+
+  this.status = status;
+  this.statusReason = { code: reasonCode, note };
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Balance shown to the app - demo accounts may report a fixed amount
+userSchema.methods.getDisplayBalance = function() {
+  if (this.isDemo && typeof this.demo.fixedBalance === 'number') {
+    return this.demo.fixedBalance;
+  }
+  return this.balance;
+};
+
 // Update updatedAt on save
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -1,66 +1,159 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const Role = require('../models/Role');
+const RevokedToken = require('../models/RevokedToken');
 const User = require('../models/User');
-const Settings = require('../models/Settings');
+const {
+  isTwoFactorSetupRequired,
+  allowPendingRequirements,
+  verifyAdminToken,
+  getAdminPermissions,
+  hasPermission,
+  requirePermission,
+} = require('../middleware/auth');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { passwordPolicyValidator } = require('../utils/passwordPolicy');
+const { isPhoneVerificationRequired } = require('../utils/phone');
+const { isLocked, lockMinutesRemaining, registerFailedLogin, clearFailedLogins } = require('../utils/lockout');
+const { loadTargetAdmin } = require('../utils/adminTargets');
+const { loginIpLimiter, adminLoginIdentifierLimiter } = require('../middleware/rateLimit');
+const { audit } = require('../services/audit');
+const { UserDeletionError, getRetentionDays, softDeleteUser, restoreUser } = require('../services/userDeletion');
+const { STATUS_REASONS, getReasonCodes, isValidReasonCode } = require('../utils/statusReasons');
+const { userListValidators, buildUserFilter, buildUserSort } = require('../utils/userFilters');
+
+// Optional reasonCode / note accepted when approving or rejecting
+const statusReasonValidators = (status) => [
+  body('reasonCode').optional().custom(code => isValidReasonCode(status, code))
+    .withMessage(`reasonCode must be one of: ${getReasonCodes(status).join(', ')}`),
+  body('note').optional().isString().trim().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters'),
+];
 
 // Generate JWT Token
-const generateToken = (adminId) => {
-  return jwt.sign({ id: adminId, isAdmin: true }, process.env.JWT_SECRET, {
+// jti lets a single token be revoked on logout; tv ties it to Admin.tokenVersion
+const generateToken = (admin) => {
+  return jwt.sign({
+    id: admin._id,
+    isAdmin: true,
+    tv: admin.tokenVersion || 0,
+  }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE || '7d',
+    jwtid: crypto.randomUUID(),
   });
 };
 
-// Middleware to verify admin token
-const verifyAdminToken = async (req, res, next) => {
-  try {
-    let token;
+// Short-lived token proving the password step of a 2FA login succeeded.
+// It has no isAdmin claim, so it can't be used against protected routes.
+const generateTwoFactorChallenge = (admin) => {
+  return jwt.sign({ id: admin._id, purpose: 'admin_2fa' }, process.env.JWT_SECRET, {
+    expiresIn: '5m',
+  });
+};
 
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+const RECOVERY_CODE_COUNT = 10;
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route',
-      });
-    }
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+// Returns { codes, hashes } - codes are shown to the admin once, hashes stored
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
 
-    if (!decoded.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized as admin',
-      });
-    }
+// Update that turns 2FA off and forgets every secret
+const CLEAR_TWO_FACTOR = {
+  $set: { 'twoFactor.enabled': false },
+  $unset: {
+    'twoFactor.secret': 1,
+    'twoFactor.pendingSecret': 1,
+    'twoFactor.recoveryCodes': 1,
+    'twoFactor.lastUsedStep': 1,
+    'twoFactor.enabledAt': 1,
+  },
+};
 
-    req.admin = await Admin.findById(decoded.id);
+// Check a TOTP code or recovery code for an admin with 2FA enabled. Accepted
+// codes are burned atomically: a TOTP step can't be reused and a recovery
+// code is removed, even under concurrent requests.
+const verifySecondFactor = async (adminId, { code, recoveryCode }) => {
+  const admin = await Admin.findById(adminId)
+    .select('+twoFactor.secret +twoFactor.recoveryCodes');
 
-    if (!req.admin || !req.admin.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Admin account not found or inactive',
-      });
-    }
+  if (!admin || !admin.twoFactor.enabled) {
+    return false;
+  }
 
-    next();
-  } catch (error) {
-    console.error('Admin auth error:', error);
-    return res.status(401).json({
-      success: false,
-      message: 'Not authorized to access this route',
-    });
+  if (recoveryCode) {
+    const result = await Admin.updateOne(
+      { _id: admin._id, 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) },
+      { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = verifyTotp(admin.twoFactor.secret, code);
+  if (step === null) {
+    return false;
   }
+
+  const result = await Admin.updateOne(
+    {
+      _id: admin._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+      ],
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Final step of a successful login (with or without 2FA)
+const completeAdminLogin = async (admin, res) => {
+  clearFailedLogins(admin);
+  admin.lastLogin = Date.now();
+  await admin.save();
+
+  const token = generateToken(admin);
+
+  console.log('Admin login successful:', admin.username);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      token,
+      admin: {
+        id: admin._id,
+        username: admin.username,
+        email: admin.email,
+        role: admin.role,
+        mustChangePassword: admin.mustChangePassword,
+        twoFactorEnabled: admin.twoFactor.enabled,
+        twoFactorSetupRequired: isTwoFactorSetupRequired(admin),
+        permissions: await Role.getPermissions(admin.role),
+      },
+    },
+  });
 };
 
 // @route   POST /api/admin/login
 // @desc    Admin login
 // @access  Public
 router.post('/login', [
+  loginIpLimiter,
+  adminLoginIdentifierLimiter,
   body('username').notEmpty().withMessage('Username is required'),
   body('password').notEmpty().withMessage('Password is required'),
 ], async (req, res) => {
@@ -86,9 +179,21 @@ router.post('/login', [
       });
     }
 
+    if (isLocked(admin)) {
+      console.log('Login attempt on locked account:', username);
+      return res.status(423).json({
+        success: false,
+        message: `Too many failed attempts. Account is locked for ${lockMinutesRemaining(admin)} more minute(s).`,
+        code: 'ACCOUNT_LOCKED',
+      });
+    }
+
     const isPasswordMatch = await admin.comparePassword(password);
 
     if (!isPasswordMatch) {
+      if (await registerFailedLogin(Admin, admin)) {
+        console.log('Admin account locked after repeated failures:', username);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -102,57 +207,516 @@ router.post('/login', [
       });
     }
 
-    admin.lastLogin = Date.now();
-    await admin.save();
+    // Password is right but a second factor is needed before issuing a token
+    if (admin.twoFactor.enabled) {
+      console.log('Admin password accepted, awaiting 2FA code:', username);
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: generateTwoFactorChallenge(admin),
+        },
+      });
+    }
+
+    await completeAdminLogin(admin, res);
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+    });
+  }
+});
+
+// @route   POST /api/admin/login/2fa
+// @desc    Second login step: exchange challenge token + TOTP/recovery code for a JWT
+// @access  Public (requires challenge token)
+router.post('/login/2fa', [
+  loginIpLimiter,
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Authentication code or recovery code is required');
+    }
+    return true;
+  }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'admin_2fa') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session expired. Please log in again.',
+      });
+    }
+
+    const admin = await Admin.findById(decoded.id);
+
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials',
+      });
+    }
 
-    const token = generateToken(admin._id);
+    if (isLocked(admin)) {
+      return res.status(423).json({
+        success: false,
+        message: `Too many failed attempts. Account is locked for ${lockMinutesRemaining(admin)} more minute(s).`,
+        code: 'ACCOUNT_LOCKED',
+      });
+    }
 
-    console.log('Admin login successful:', username);
+    const isValid = await verifySecondFactor(admin._id, { code, recoveryCode });
+
+    if (!isValid) {
+      if (await registerFailedLogin(Admin, admin)) {
+        console.log('Admin account locked after repeated 2FA failures:', admin.username);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    if (recoveryCode) {
+      console.log(`Admin ${admin.username} logged in with a recovery code`);
+    }
+
+    await completeAdminLogin(admin, res);
+  } catch (error) {
+    console.error('Admin 2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+    });
+  }
+});
+
+// @route   POST /api/admin/2fa/setup
+// @desc    Start TOTP enrollment: returns a new secret and otpauth:// URI for a QR code
+// @access  Private (Admin)
+router.post('/2fa/setup', allowPendingRequirements, verifyAdminToken, async (req, res) => {
+  try {
+    if (req.admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = generateSecret();
+    const issuer = process.env.TOTP_ISSUER || 'Philucky Admin';
+
+    await Admin.updateOne({ _id: req.admin._id }, { $set: { 'twoFactor.pendingSecret': secret } });
 
     res.json({
       success: true,
-      message: 'Login successful',
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
       data: {
-        token,
-        admin: {
-          id: admin._id,
-          username: admin.username,
-          email: admin.email,
-          role: admin.role,
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: req.admin.username, issuer }),
+      },
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup',
+    });
+  }
+});
+
+// @route   POST /api/admin/2fa/enable
+// @desc    Confirm TOTP enrollment with a code; returns one-time recovery codes
+// @access  Private (Admin)
+router.post('/2fa/enable', [
+  allowPendingRequirements,
+  verifyAdminToken,
+  body('code').notEmpty().withMessage('Authentication code is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    const admin = await Admin.findById(req.admin._id).select('+twoFactor.pendingSecret');
+
+    if (admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!admin.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    const step = verifyTotp(admin.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await Admin.updateOne(
+      { _id: admin._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': admin.twoFactor.pendingSecret,
+          'twoFactor.recoveryCodes': hashes,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.enabledAt': new Date(),
         },
+        $unset: { 'twoFactor.pendingSecret': 1 },
+      }
+    );
+
+    console.log(`Admin ${admin.username} enabled two-factor authentication`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe - they will not be shown again.',
+      data: {
+        recoveryCodes: codes,
       },
     });
   } catch (error) {
-    console.error('Admin login error:', error);
+    console.error('2FA enable error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login',
+      message: 'Error enabling two-factor authentication',
     });
   }
 });
 
-// @route   GET /api/admin/users
-// @desc    Get all users with optional status filter
+// @route   POST /api/admin/2fa/recovery-codes
+// @desc    Replace recovery codes (requires a current TOTP code)
+// @access  Private (Admin)
+router.post('/2fa/recovery-codes', [
+  verifyAdminToken,
+  body('code').notEmpty().withMessage('Authentication code is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    if (!await verifySecondFactor(req.admin._id, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await Admin.updateOne({ _id: req.admin._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    console.log(`Admin ${req.admin.username} regenerated 2FA recovery codes`);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The old codes no longer work.',
+      data: {
+        recoveryCodes: codes,
+      },
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes',
+    });
+  }
+});
+
+// @route   POST /api/admin/2fa/disable
+// @desc    Turn off 2FA (requires password and a TOTP or recovery code)
+// @access  Private (Admin)
+router.post('/2fa/disable', [
+  verifyAdminToken,
+  body('password').notEmpty().withMessage('Password is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    if (process.env.REQUIRE_SUPER_ADMIN_2FA === 'true' && req.admin.role === 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for super admins',
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const admin = await Admin.findById(req.admin._id).select('+password');
+
+    if (!await admin.comparePassword(password) ||
+        !await verifySecondFactor(admin._id, { code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code',
+      });
+    }
+
+    await Admin.updateOne({ _id: admin._id }, CLEAR_TWO_FACTOR);
+
+    console.log(`Admin ${admin.username} disabled two-factor authentication`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+    });
+  }
+});
+
+// @route   DELETE /api/admin/admins/:adminId/2fa
+// @desc    Reset another admin's 2FA (lost device); they must enroll again
+// @access  Private (Admin: admins.manage)
+router.delete('/admins/:adminId/2fa', verifyAdminToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const target = await loadTargetAdmin(req, res, 'reset two-factor authentication on');
+    if (!target) return;
+
+    // Resetting also logs the admin out everywhere
+    const admin = await Admin.findByIdAndUpdate(
+      target._id,
+      { ...CLEAR_TWO_FACTOR, $inc: { tokenVersion: 1 } },
+      { new: true }
+    );
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found',
+      });
+    }
+
+    console.log(`Two-factor authentication for admin ${admin.username} reset by ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'admin.2fa_reset',
+      target: { type: 'Admin', id: admin._id, label: admin.username },
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset',
+    });
+  } catch (error) {
+    console.error('2FA reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting two-factor authentication',
+    });
+  }
+});
+
+// @route   POST /api/admin/logout
+// @desc    Revoke the token used for this request
 // @access  Private (Admin)
-router.get('/users', verifyAdminToken, async (req, res) => {
+router.post('/logout', allowPendingRequirements, verifyAdminToken, async (req, res) => {
   try {
-    const { status, page = 1, limit = 50 } = req.query;
+    const { jti, exp } = req.tokenPayload;
+
+    // Tokens issued before jti was added can only be revoked with logout-all
+    if (jti) {
+      await RevokedToken.updateOne(
+        { jti },
+        {
+          $setOnInsert: {
+            subject: req.admin._id,
+            subjectModel: 'Admin',
+            reason: 'logout',
+            expiresAt: new Date(exp * 1000),
+          },
+        },
+        { upsert: true }
+      );
+    }
+
+    console.log(`Admin ${req.admin.username} logged out`);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Admin logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error during logout',
+    });
+  }
+});
+
+// @route   POST /api/admin/logout-all
+// @desc    Revoke every token issued to this admin (all devices)
+// @access  Private (Admin)
+router.post('/logout-all', allowPendingRequirements, verifyAdminToken, async (req, res) => {
+  try {
+    await Admin.updateOne({ _id: req.admin._id }, { $inc: { tokenVersion: 1 } });
+
+    console.log(`Admin ${req.admin.username} logged out of all devices`);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices successfully',
+    });
+  } catch (error) {
+    console.error('Admin logout-all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error during logout',
+    });
+  }
+});
+
+// @route   PUT /api/admin/me/password
+// @desc    Change the signed-in admin's password (revokes all other tokens)
+// @access  Private (Admin)
+router.put('/me/password', [
+  allowPendingRequirements,
+  verifyAdminToken,
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  passwordPolicyValidator('newPassword'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const admin = await Admin.findById(req.admin._id).select('+password');
+
+    const isPasswordMatch = await admin.comparePassword(currentPassword);
+    if (!isPasswordMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    if (await admin.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password',
+      });
+    }
+
+    // Saving bumps tokenVersion, so hand back a token for the new version
+    admin.password = newPassword;
+    await admin.save();
+
+    console.log(`Admin ${admin.username} changed their password`);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other sessions have been logged out.',
+      data: {
+        token: generateToken(admin),
+      },
+    });
+  } catch (error) {
+    console.error('Admin change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+    });
+  }
+});
+
+// @route   GET /api/admin/users
+// @desc    List users with search (start of phone, email or username), filters
+//          (see utils/userFilters.js), sort and pagination
+// @access  Private (Admin: users.read)
+router.get('/users', [
+  verifyAdminToken,
+  requirePermission('users.read'),
+  ...userListValidators,
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
 
-    const query = status ? { status } : {};
+    const { sort, page = 1, limit = 50 } = req.query;
 
-    const users = await User.find(query)
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    // Demo accounts are listed under /api/admin/demo-accounts
+    const query = buildUserFilter(req.query);
 
-    const total = await User.countDocuments(query);
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('-password -statusHistory')
+        .sort(buildUserSort(sort))
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query),
+    ]);
 
     res.json({
       success: true,
       data: {
         users,
         currentPage: page,
+        limit,
         totalPages: Math.ceil(total / limit),
         totalUsers: total,
       },
@@ -168,19 +732,23 @@ router.get('/users', verifyAdminToken, async (req, res) => {
 
 // @route   GET /api/admin/stats
 // @desc    Get dashboard statistics
-// @access  Private (Admin)
-router.get('/stats', verifyAdminToken, async (req, res) => {
+// @access  Private (Admin: stats.read)
+router.get('/stats', verifyAdminToken, requirePermission('stats.read'), async (req, res) => {
   try {
-    const totalUsers = await User.countDocuments();
-    const pendingUsers = await User.countDocuments({ status: 'pending' });
-    const approvedUsers = await User.countDocuments({ status: 'approved' });
-    const rejectedUsers = await User.countDocuments({ status: 'rejected' });
-    const activeUsers = await User.countDocuments({ isActive: true, status: 'approved' });
+    // Demo accounts are not real users
+    const realUsers = { isDemo: { $ne: true } };
+
+    const totalUsers = await User.countDocuments(realUsers);
+    const pendingUsers = await User.countDocuments({ ...realUsers, status: 'pending' });
+    const approvedUsers = await User.countDocuments({ ...realUsers, status: 'approved' });
+    const rejectedUsers = await User.countDocuments({ ...realUsers, status: 'rejected' });
+    const activeUsers = await User.countDocuments({ ...realUsers, isActive: true, status: 'approved' });
 
     // Users registered in the last 7 days
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
     const recentUsers = await User.countDocuments({
+      ...realUsers,
       createdAt: { $gte: sevenDaysAgo },
     });
 
@@ -206,10 +774,23 @@ router.get('/stats', verifyAdminToken, async (req, res) => {
 
 // @route   PUT /api/admin/users/:userId/approve
 // @desc    Approve a user
-// @access  Private (Admin)
-router.put('/users/:userId/approve', verifyAdminToken, async (req, res) => {
+// @access  Private (Admin: users.approve)
+router.put('/users/:userId/approve', [
+  verifyAdminToken,
+  requirePermission('users.approve'),
+  ...statusReasonValidators('approved'),
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
     const { userId } = req.params;
+    const { reasonCode, note } = req.body;
 
     const user = await User.findById(userId);
 
@@ -220,11 +801,27 @@ router.put('/users/:userId/approve', verifyAdminToken, async (req, res) => {
       });
     }
 
-    user.status = 'approved';
+    if (user.status === 'pending' && isPhoneVerificationRequired() && !user.phoneVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has not verified their phone number yet',
+      });
+    }
+
+    const previousStatus = user.status;
+    user.setStatus('approved', { reasonCode, note, admin: req.admin });
     await user.save();
 
     console.log(`User ${user.phone} approved by admin ${req.admin.username}`);
 
+    await audit(req, {
+      action: 'user.approve',
+      target: { type: 'User', id: user._id, label: user.phone },
+      before: { status: previousStatus },
+      after: { status: user.status },
+      metadata: { reasonCode, note },
+    });
+
     res.json({
       success: true,
       message: 'User approved successfully',
@@ -235,6 +832,7 @@ router.put('/users/:userId/approve', verifyAdminToken, async (req, res) => {
           email: user.email,
           username: user.username,
           status: user.status,
+          statusReason: user.statusReason,
         },
       },
     });
@@ -249,10 +847,23 @@ router.put('/users/:userId/approve', verifyAdminToken, async (req, res) => {
 
 // @route   PUT /api/admin/users/:userId/reject
 // @desc    Reject a user
-// @access  Private (Admin)
-router.put('/users/:userId/reject', verifyAdminToken, async (req, res) => {
+// @access  Private (Admin: users.approve)
+router.put('/users/:userId/reject', [
+  verifyAdminToken,
+  requirePermission('users.approve'),
+  ...statusReasonValidators('rejected'),
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
     const { userId } = req.params;
+    const { reasonCode, note } = req.body;
 
     const user = await User.findById(userId);
 
@@ -263,11 +874,20 @@ router.put('/users/:userId/reject', verifyAdminToken, async (req, res) => {
       });
     }
 
-    user.status = 'rejected';
+    const previousStatus = user.status;
+    user.setStatus('rejected', { reasonCode, note, admin: req.admin });
     await user.save();
 
     console.log(`User ${user.phone} rejected by admin ${req.admin.username}`);
 
+    await audit(req, {
+      action: 'user.reject',
+      target: { type: 'User', id: user._id, label: user.phone },
+      before: { status: previousStatus },
+      after: { status: user.status },
+      metadata: { reasonCode, note },
+    });
+
     res.json({
       success: true,
       message: 'User rejected successfully',
@@ -278,6 +898,7 @@ router.put('/users/:userId/reject', verifyAdminToken, async (req, res) => {
           email: user.email,
           username: user.username,
           status: user.status,
+          statusReason: user.statusReason,
         },
       },
     });
@@ -290,10 +911,53 @@ router.put('/users/:userId/reject', verifyAdminToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/users/:userId/status-history
+// @desc    A user's status timeline, oldest first
+// @access  Private (Admin: users.read)
+router.get('/users/:userId/status-history', verifyAdminToken, requirePermission('users.read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('phone status statusReason statusHistory');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userId: user._id,
+        phone: user.phone,
+        status: user.status,
+        statusReason: user.statusReason,
+        history: user.statusHistory,
+      },
+    });
+  } catch (error) {
+    console.error('Get status history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching status history',
+    });
+  }
+});
+
+// @route   GET /api/admin/status-reasons
+// @desc    Reason codes accepted by approve and reject, with the text users see
+// @access  Private (Admin: users.approve)
+router.get('/status-reasons', verifyAdminToken, requirePermission('users.approve'), (req, res) => {
+  res.json({
+    success: true,
+    data: STATUS_REASONS,
+  });
+});
+
 // @route   PUT /api/admin/users/:userId/toggle-active
 // @desc    Toggle user active status
-// @access  Private (Admin)
-router.put('/users/:userId/toggle-active', verifyAdminToken, async (req, res) => {
+// @access  Private (Admin: users.update)
+router.put('/users/:userId/toggle-active', verifyAdminToken, requirePermission('users.update'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -311,6 +975,13 @@ router.put('/users/:userId/toggle-active', verifyAdminToken, async (req, res) =>
 
     console.log(`User ${user.phone} active status toggled to ${user.isActive} by admin ${req.admin.username}`);
 
+    await audit(req, {
+      action: user.isActive ? 'user.activate' : 'user.deactivate',
+      target: { type: 'User', id: user._id, label: user.phone },
+      before: { isActive: !user.isActive },
+      after: { isActive: user.isActive },
+    });
+
     res.json({
       success: true,
       message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -334,22 +1005,75 @@ router.put('/users/:userId/toggle-active', verifyAdminToken, async (req, res) =>
   }
 });
 
-// @route   DELETE /api/admin/users/:userId
-// @desc    Delete a user
-// @access  Private (Admin - Super Admin only)
-router.delete('/users/:userId', verifyAdminToken, async (req, res) => {
+// @route   PUT /api/admin/users/:userId/segments
+// @desc    Replace a user's segments (used by WebView URL targeting rules)
+// @access  Private (Admin: users.update)
+router.put('/users/:userId/segments', [
+  verifyAdminToken,
+  requirePermission('users.update'),
+  body('segments').isArray({ max: 20 }).withMessage('Segments must be a list of at most 20 names'),
+  body('segments.*').isString().trim().toLowerCase().matches(/^[a-z0-9_-]{1,50}$/)
+    .withMessage('Segment names may only contain letters, numbers, - and _ (max 50)'),
+], async (req, res) => {
   try {
-    // Only super admins can delete users
-    if (req.admin.role !== 'super_admin') {
-      return res.status(403).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: 'Only super admins can delete users',
+        message: 'User not found',
       });
     }
 
+    const before = [...user.segments];
+    user.segments = [...new Set(req.body.segments)];
+    await user.save();
+
+    console.log(`User ${user.phone} segments set to [${user.segments.join(', ')}] by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'user.segments',
+      target: { type: 'User', id: user._id, label: user.phone },
+      before: { segments: before },
+      after: { segments: [...user.segments] },
+    });
+
+    res.json({
+      success: true,
+      message: 'Segments updated successfully',
+      data: {
+        user: {
+          id: user._id,
+          phone: user.phone,
+          segments: user.segments,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Update segments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating segments',
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:userId/require-password-change
+// @desc    Force a user to choose a new password at next login
+// @access  Private (Admin: users.update)
+router.put('/users/:userId/require-password-change', verifyAdminToken, requirePermission('users.update'), async (req, res) => {
+  try {
     const { userId } = req.params;
 
-    const user = await User.findByIdAndDelete(userId);
+    const user = await User.findById(userId);
 
     if (!user) {
       return res.status(404).json({
@@ -358,130 +1082,283 @@ router.delete('/users/:userId', verifyAdminToken, async (req, res) => {
       });
     }
 
-    console.log(`User ${user.phone} deleted by super admin ${req.admin.username}`);
+    user.mustChangePassword = true;
+    await user.save();
+
+    console.log(`User ${user.phone} must change password (set by admin ${req.admin.username})`);
+
+    await audit(req, {
+      action: 'user.require_password_change',
+      target: { type: 'User', id: user._id, label: user.phone },
+    });
 
     res.json({
       success: true,
-      message: 'User deleted successfully',
+      message: 'User will be asked to change their password',
+      data: {
+        user: {
+          id: user._id,
+          phone: user.phone,
+          mustChangePassword: user.mustChangePassword,
+        },
+      },
     });
   } catch (error) {
-    console.error('Delete user error:', error);
+    console.error('Require password change error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error deleting user',
+      message: 'Error updating user',
     });
   }
 });
 
-// @route   GET /api/admin/settings
-// @desc    Get app settings (including webViewUrl)
-// @access  Private (Admin)
-router.get('/settings', verifyAdminToken, async (req, res) => {
+// @route   PUT /api/admin/admins/:adminId/require-password-change
+// @desc    Force another admin to choose a new password at next login
+// @access  Private (Admin: admins.manage)
+router.put('/admins/:adminId/require-password-change', verifyAdminToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const admin = await loadTargetAdmin(req, res, 'force a password change on');
+    if (!admin) return;
+
+    admin.mustChangePassword = true;
+    await admin.save();
+
+    console.log(`Admin ${admin.username} must change password (set by ${req.admin.username})`);
+
+    await audit(req, {
+      action: 'admin.require_password_change',
+      target: { type: 'Admin', id: admin._id, label: admin.username },
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin will be asked to change their password',
+      data: {
+        admin: {
+          id: admin._id,
+          username: admin.username,
+          mustChangePassword: admin.mustChangePassword,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Require admin password change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating admin',
+    });
+  }
+});
+
+// @route   GET /api/admin/lockouts
+// @desc    List user and admin accounts currently locked after failed logins
+// @access  Private (Admin: users.read)
+router.get('/lockouts', verifyAdminToken, requirePermission('users.read'), async (req, res) => {
+  try {
+    const lockedQuery = { lockUntil: { $gt: new Date() } };
+
+    const users = await User.find(lockedQuery)
+      .select('phone email username status lockUntil lastFailedLoginAt')
+      .sort({ lockUntil: -1 });
+
+    // Other admins' lock state is only visible to admins who manage them
+    const admins = await hasPermission(req, 'admins.manage')
+      ? await Admin.find(lockedQuery)
+        .select('username email role lockUntil lastFailedLoginAt')
+        .sort({ lockUntil: -1 })
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        admins,
+      },
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching lockouts',
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:userId/lockout
+// @desc    Unlock a user locked after failed logins
+// @access  Private (Admin: users.update)
+router.delete('/users/:userId/lockout', verifyAdminToken, requirePermission('users.update'), async (req, res) => {
   try {
-    const settings = await Settings.find();
-    
-    // Convert to key-value object
-    const settingsObj = {};
-    settings.forEach(setting => {
-      settingsObj[setting.key] = {
-        value: setting.value,
-        description: setting.description,
-        updatedAt: setting.updatedAt,
-      };
-    });
-
-    // Ensure webViewUrl exists
-    if (!settingsObj.webViewUrl) {
-      // Create default if doesn't exist
-      const port = process.env.PORT || 3332;
-      const defaultUrl = process.env.WEBVIEW_URL || `http://localhost:${port}/app-guide`;
-      
-      const newSetting = await Settings.create({
-        key: 'webViewUrl',
-        value: defaultUrl,
-        description: 'URL shown in mobile app WebView after login',
-        updatedBy: req.admin._id,
-      });
-
-      settingsObj.webViewUrl = {
-        value: newSetting.value,
-        description: newSetting.description,
-        updatedAt: newSetting.updatedAt,
-      };
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
     }
 
+    console.log(`User ${user.phone} unlocked by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'user.unlock',
+      target: { type: 'User', id: user._id, label: user.phone },
+    });
+
     res.json({
       success: true,
-      data: settingsObj,
+      message: 'User unlocked successfully',
     });
   } catch (error) {
-    console.error('Get settings error:', error);
+    console.error('Unlock user error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching settings',
+      message: 'Error unlocking user',
     });
   }
 });
 
-// @route   PUT /api/admin/settings/webview-url
-// @desc    Update WebView URL
-// @access  Private (Admin)
-router.put('/settings/webview-url', [
-  verifyAdminToken,
-  body('url').notEmpty().withMessage('URL is required'),
-], async (req, res) => {
+// @route   DELETE /api/admin/admins/:adminId/lockout
+// @desc    Unlock an admin locked after failed logins
+// @access  Private (Admin: admins.manage)
+router.delete('/admins/:adminId/lockout', verifyAdminToken, requirePermission('admins.manage'), async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+    const target = await loadTargetAdmin(req, res, 'unlock');
+    if (!target) return;
+
+    const admin = await Admin.findByIdAndUpdate(
+      target._id,
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } },
+      { new: true }
+    );
+
+    if (!admin) {
+      return res.status(404).json({
         success: false,
-        message: errors.array()[0].msg,
+        message: 'Admin not found',
       });
     }
 
-    const { url } = req.body;
+    console.log(`Admin ${admin.username} unlocked by ${req.admin.username}`);
 
-    // Validate URL format
-    try {
-      new URL(url);
-    } catch (e) {
-      return res.status(400).json({
+    await audit(req, {
+      action: 'admin.unlock',
+      target: { type: 'Admin', id: admin._id, label: admin.username },
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin unlocked successfully',
+    });
+  } catch (error) {
+    console.error('Unlock admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking admin',
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:userId
+// @desc    Delete a user. The account is hidden and signed out but kept for
+//          USER_DELETE_RETENTION_DAYS so it can be restored, then purged.
+// @access  Private (Admin: users.delete)
+router.delete('/users/:userId', verifyAdminToken, requirePermission('users.delete'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid URL format',
+        message: 'User not found',
       });
     }
 
-    // Update or create setting
-    let setting = await Settings.findOne({ key: 'webViewUrl' });
+    const phone = user.phone;
+    await softDeleteUser(user, req.admin);
+
+    console.log(`User ${phone} deleted by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'user.delete',
+      target: { type: 'User', id: user._id, label: phone },
+      before: { deletedAt: null },
+      after: { deletedAt: user.deletedAt.toISOString() },
+      metadata: { releasedIdentifiers: Boolean(user.releasedIdentifiers && user.releasedIdentifiers.phone) },
+    });
+
+    res.json({
+      success: true,
+      message: `User deleted. It can be restored for ${getRetentionDays()} day(s).`,
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting user',
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:userId/restore
+// @desc    Restore a deleted user that hasn't been purged yet
+// @access  Private (Admin: users.delete)
+router.put('/users/:userId/restore', verifyAdminToken, requirePermission('users.delete'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findOne({ _id: userId, deletedAt: { $ne: null } });
 
-    if (setting) {
-      setting.value = url;
-      setting.updatedBy = req.admin._id;
-      await setting.save();
-    } else {
-      setting = await Settings.create({
-        key: 'webViewUrl',
-        value: url,
-        description: 'URL shown in mobile app WebView after login',
-        updatedBy: req.admin._id,
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted user not found',
       });
     }
 
-    console.log(`WebView URL updated to ${url} by admin ${req.admin.username}`);
+    const deletedAt = user.deletedAt;
+    await restoreUser(user);
+
+    console.log(`User ${user.phone} restored by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'user.restore',
+      target: { type: 'User', id: user._id, label: user.phone },
+      before: { deletedAt: deletedAt.toISOString() },
+      after: { deletedAt: null },
+    });
 
     res.json({
       success: true,
-      message: 'WebView URL updated successfully',
+      message: 'User restored successfully',
       data: {
-        url: setting.value,
-        updatedAt: setting.updatedAt,
+        user: {
+          id: user._id,
+          phone: user.phone,
+          email: user.email,
+          status: user.status,
+          isActive: user.isActive,
+        },
       },
     });
   } catch (error) {
-    console.error('Update WebView URL error:', error);
+    if (error instanceof UserDeletionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error('Restore user error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error updating WebView URL',
+      message: 'Error restoring user',
     });
   }
 });
@@ -489,18 +1366,30 @@ router.put('/settings/webview-url', [
 // @route   GET /api/admin/verify
 // @desc    Verify admin token
 // @access  Private (Admin)
-router.get('/verify', verifyAdminToken, (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      admin: {
-        id: req.admin._id,
-        username: req.admin.username,
-        email: req.admin.email,
-        role: req.admin.role,
+router.get('/verify', allowPendingRequirements, verifyAdminToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        admin: {
+          id: req.admin._id,
+          username: req.admin.username,
+          email: req.admin.email,
+          role: req.admin.role,
+          mustChangePassword: req.admin.mustChangePassword,
+          twoFactorEnabled: req.admin.twoFactor.enabled,
+          twoFactorSetupRequired: isTwoFactorSetupRequired(req.admin),
+          permissions: await getAdminPermissions(req),
+        },
       },
-    },
-  });
+    });
+  } catch (error) {
+    console.error('Verify admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying admin',
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
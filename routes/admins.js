@@ -0,0 +1,490 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Admin = require('../models/Admin');
+const Role = require('../models/Role');
+const { verifyAdminToken, requirePermission } = require('../middleware/auth');
+const { passwordPolicyValidator, generatePassword } = require('../utils/passwordPolicy');
+const { isLocked } = require('../utils/lockout');
+const { SUPER_ADMIN_ROLE } = require('../utils/permissions');
+const { canTouchSuperAdmin, loadTargetAdmin } = require('../utils/adminTargets');
+const { sendNotification } = require('../services/notifications');
+const { audit } = require('../services/audit');
+
+// Admin account management, mounted under /api/admin/admins. Forcing a
+// password change, unlocking and resetting 2FA for an admin live in admin.js.
+
+router.use(verifyAdminToken, requirePermission('admins.manage'));
+
+const toAdmin = (admin) => ({
+  id: admin._id,
+  username: admin.username,
+  email: admin.email,
+  role: admin.role,
+  isActive: admin.isActive,
+  lastLogin: admin.lastLogin,
+  mustChangePassword: admin.mustChangePassword,
+  twoFactorEnabled: Boolean(admin.twoFactor && admin.twoFactor.enabled),
+  isLocked: isLocked(admin),
+  invitedAt: admin.invitedAt,
+  createdBy: admin.createdBy,
+  createdAt: admin.createdAt,
+});
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+      errors: errors.array(),
+    });
+    return false;
+  }
+  return true;
+};
+
+const newAdminValidators = [
+  body('username').trim().isLength({ min: 3, max: 50 }).withMessage('Username must be 3-50 characters'),
+  body('email').trim().isEmail().withMessage('Invalid email format').normalizeEmail({ gmail_remove_dots: false }),
+  body('role').optional().trim().toLowerCase(),
+];
+
+const roleExists = async (role) => {
+  return role === SUPER_ADMIN_ROLE || Boolean(await Role.exists({ name: role }));
+};
+
+// Would removing/demoting/deactivating this admin leave no active super admin?
+const isLastActiveSuperAdmin = async (admin) => {
+  if (admin.role !== SUPER_ADMIN_ROLE || !admin.isActive) {
+    return false;
+  }
+
+  const others = await Admin.countDocuments({
+    _id: { $ne: admin._id },
+    role: SUPER_ADMIN_ROLE,
+    isActive: true,
+  });
+  return others === 0;
+};
+
+// Run a write that may take an active super admin away, refusing it if none
+// would be left. Checking first isn't enough: two super admins demoting each
+// other at once would both pass, so the count is taken again after the write
+// and `undo` runs if it reached zero. Returns false when refused.
+const guardLastSuperAdmin = async (admin, apply, undo) => {
+  if (await isLastActiveSuperAdmin(admin)) {
+    return false;
+  }
+
+  const wasActiveSuperAdmin = admin.role === SUPER_ADMIN_ROLE && admin.isActive;
+  await apply();
+
+  if (wasActiveSuperAdmin && !await Admin.exists({ role: SUPER_ADMIN_ROLE, isActive: true })) {
+    await undo();
+    return false;
+  }
+  return true;
+};
+
+const LAST_SUPER_ADMIN = {
+  success: false,
+  message: 'This is the last active super admin. Promote another admin first.',
+  code: 'LAST_SUPER_ADMIN',
+};
+
+// Checks shared by create and invite. Returns an error response body or null.
+const checkNewAdmin = async (req, { username, email, role }) => {
+  if (!await roleExists(role)) {
+    return { status: 400, body: { success: false, message: `Role "${role}" does not exist` } };
+  }
+  if (!canTouchSuperAdmin(req, role)) {
+    return { status: 403, body: { success: false, message: 'Only super admins can create super admins' } };
+  }
+  if (await Admin.exists({ $or: [{ username }, { email }] })) {
+    return { status: 400, body: { success: false, message: 'Username or email already in use' } };
+  }
+  return null;
+};
+
+// @route   GET /api/admin/admins
+// @desc    List admin accounts (filter with role and isActive)
+// @access  Private (Admin: admins.manage)
+router.get('/', [
+  query('role').optional().trim().toLowerCase(),
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean(),
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) {
+      return;
+    }
+
+    const filter = {};
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive;
+    }
+
+    const admins = await Admin.find(filter).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        admins: admins.map(toAdmin),
+      },
+    });
+  } catch (error) {
+    console.error('Get admins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching admins',
+    });
+  }
+});
+
+// @route   POST /api/admin/admins
+// @desc    Create an admin with a password chosen by the creator
+// @access  Private (Admin: admins.manage)
+router.post('/', [
+  ...newAdminValidators,
+  passwordPolicyValidator('password'),
+  body('mustChangePassword').optional().isBoolean().withMessage('mustChangePassword must be a boolean').toBoolean(),
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) {
+      return;
+    }
+
+    const { username, email, password } = req.body;
+    const role = req.body.role || 'admin';
+
+    const problem = await checkNewAdmin(req, { username, email, role });
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
+    }
+
+    // The creator knows the password, so by default it has to be changed
+    const admin = await Admin.create({
+      username,
+      email,
+      password,
+      role,
+      mustChangePassword: req.body.mustChangePassword !== false,
+      createdBy: req.admin._id,
+    });
+
+    console.log(`Admin ${admin.username} (${admin.role}) created by ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'admin.create',
+      target: { type: 'Admin', id: admin._id, label: admin.username },
+      after: { email: admin.email, role: admin.role, mustChangePassword: admin.mustChangePassword },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin created successfully',
+      data: {
+        admin: toAdmin(admin),
+      },
+    });
+  } catch (error) {
+    console.error('Create admin error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username or email already in use',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating admin',
+    });
+  }
+});
+
+// @route   POST /api/admin/admins/invite
+// @desc    Create an admin and email them a temporary password to change at first login
+// @access  Private (Admin: admins.manage)
+router.post('/invite', newAdminValidators, async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) {
+      return;
+    }
+
+    const { username, email } = req.body;
+    const role = req.body.role || 'admin';
+
+    const problem = await checkNewAdmin(req, { username, email, role });
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
+    }
+
+    const temporaryPassword = generatePassword();
+
+    const admin = await Admin.create({
+      username,
+      email,
+      password: temporaryPassword,
+      role,
+      mustChangePassword: true,
+      createdBy: req.admin._id,
+      invitedAt: Date.now(),
+    });
+
+    try {
+      await sendNotification({
+        channel: 'email',
+        to: admin.email,
+        subject: 'You have been invited to the Philucky admin panel',
+        text: `${req.admin.username} has invited you to the Philucky admin panel.\n\n` +
+          `Sign in at ${req.protocol}://${req.get('host')}/admin\n` +
+          `Username: ${admin.username}\n` +
+          `Temporary password: ${temporaryPassword}\n\n` +
+          'You will be asked to choose a new password when you sign in.',
+      });
+    } catch (error) {
+      // Don't leave behind an account nobody can sign in to
+      await Admin.deleteOne({ _id: admin._id });
+      throw error;
+    }
+
+    console.log(`Admin ${admin.username} (${admin.role}) invited by ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'admin.invite',
+      target: { type: 'Admin', id: admin._id, label: admin.username },
+      after: { email: admin.email, role: admin.role },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${admin.email}`,
+      data: {
+        admin: toAdmin(admin),
+      },
+    });
+  } catch (error) {
+    console.error('Invite admin error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username or email already in use',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error inviting admin',
+    });
+  }
+});
+
+// @route   PUT /api/admin/admins/:adminId/role
+// @desc    Change an admin's role (logs them out everywhere)
+// @access  Private (Admin: admins.manage)
+router.put('/:adminId/role', [
+  body('role').trim().toLowerCase().notEmpty().withMessage('Role is required'),
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) {
+      return;
+    }
+
+    const { role } = req.body;
+
+    const admin = await loadTargetAdmin(req, res, 'change the role of');
+    if (!admin) {
+      return;
+    }
+
+    if (!await roleExists(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role "${role}" does not exist`,
+      });
+    }
+
+    if (!canTouchSuperAdmin(req, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only super admins can grant the super_admin role',
+      });
+    }
+
+    const previousRole = admin.role;
+
+    // Saving a role change bumps tokenVersion
+    const changed = role === previousRole || await guardLastSuperAdmin(
+      admin,
+      () => {
+        admin.role = role;
+        return admin.save();
+      },
+      () => Admin.updateOne({ _id: admin._id }, { $set: { role: previousRole } })
+    );
+    if (!changed) {
+      return res.status(409).json(LAST_SUPER_ADMIN);
+    }
+
+    console.log(`Admin ${admin.username} role changed from ${previousRole} to ${role} by ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'admin.role_change',
+      target: { type: 'Admin', id: admin._id, label: admin.username },
+      before: { role: previousRole },
+      after: { role: admin.role },
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        admin: toAdmin(admin),
+      },
+    });
+  } catch (error) {
+    console.error('Change admin role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing admin role',
+    });
+  }
+});
+
+// @route   PUT /api/admin/admins/:adminId/deactivate
+// @desc    Deactivate an admin; their tokens stop working immediately
+// @access  Private (Admin: admins.manage)
+router.put('/:adminId/deactivate', async (req, res) => {
+  try {
+    const admin = await loadTargetAdmin(req, res, 'deactivate');
+    if (!admin) {
+      return;
+    }
+
+    const deactivated = await guardLastSuperAdmin(
+      admin,
+      () => {
+        admin.isActive = false;
+        admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+        return admin.save();
+      },
+      () => Admin.updateOne({ _id: admin._id }, { $set: { isActive: true } })
+    );
+    if (!deactivated) {
+      return res.status(409).json(LAST_SUPER_ADMIN);
+    }
+
+    console.log(`Admin ${admin.username} deactivated by ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'admin.deactivate',
+      target: { type: 'Admin', id: admin._id, label: admin.username },
+      before: { isActive: true },
+      after: { isActive: false },
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin deactivated successfully',
+      data: {
+        admin: toAdmin(admin),
+      },
+    });
+  } catch (error) {
+    console.error('Deactivate admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating admin',
+    });
+  }
+});
+
+// @route   PUT /api/admin/admins/:adminId/activate
+// @desc    Reactivate a deactivated admin
+// @access  Private (Admin: admins.manage)
+router.put('/:adminId/activate', async (req, res) => {
+  try {
+    const admin = await loadTargetAdmin(req, res, 'activate');
+    if (!admin) {
+      return;
+    }
+
+    const wasActive = admin.isActive;
+    admin.isActive = true;
+    await admin.save();
+
+    console.log(`Admin ${admin.username} activated by ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'admin.activate',
+      target: { type: 'Admin', id: admin._id, label: admin.username },
+      before: { isActive: wasActive },
+      after: { isActive: true },
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin activated successfully',
+      data: {
+        admin: toAdmin(admin),
+      },
+    });
+  } catch (error) {
+    console.error('Activate admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error activating admin',
+    });
+  }
+});
+
+// @route   DELETE /api/admin/admins/:adminId
+// @desc    Delete an admin account
+// @access  Private (Admin: admins.manage)
+router.delete('/:adminId', async (req, res) => {
+  try {
+    const admin = await loadTargetAdmin(req, res, 'delete');
+    if (!admin) {
+      return;
+    }
+
+    // Deactivated first, so the guard can still undo it
+    const removable = await guardLastSuperAdmin(
+      admin,
+      () => Admin.updateOne({ _id: admin._id }, { $set: { isActive: false } }),
+      () => Admin.updateOne({ _id: admin._id }, { $set: { isActive: true } })
+    );
+    if (!removable) {
+      return res.status(409).json(LAST_SUPER_ADMIN);
+    }
+
+    await admin.deleteOne();
+
+    console.log(`Admin ${admin.username} deleted by ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'admin.delete',
+      target: { type: 'Admin', id: admin._id, label: admin.username },
+      snapshot: admin,
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting admin',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,280 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const { verifyAdminToken, requirePermission } = require('../middleware/auth');
+const { isValidTimeZone, canonicalTimeZone, localDate, addDays, buildDateRange } = require('../utils/dateRange');
+
+// Longest range one request may cover, to keep the series bounded
+const MAX_RANGE_DAYS = 731;
+const DEFAULT_RANGE_DAYS = 30;
+const HOUR_MS = 60 * 60 * 1000;
+
+// $dateToString formats for the bucket of a date. Weeks are ISO weeks
+// (Monday to Sunday), e.g. 2024-W09.
+const BUCKET_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+};
+
+// ISO week key (matching %G-W%V) of a YYYY-MM-DD date
+const isoWeekKey = (dateString) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  const weekday = (date.getUTCDay() + 6) % 7;
+  // The ISO year is the year of the week's Thursday
+  const thursday = new Date(date.getTime() + (3 - weekday) * 24 * HOUR_MS);
+  const year = thursday.getUTCFullYear();
+  const week = 1 + Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * 24 * HOUR_MS));
+
+  return `${year}-W${String(week).padStart(2, '0')}`;
+};
+
+// Every bucket between two YYYY-MM-DD dates, in order, as { key, start }
+const listBuckets = (from, to, interval) => {
+  const buckets = [];
+  const seen = new Set();
+
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const key = interval === 'week' ? isoWeekKey(day) : day;
+    if (!seen.has(key)) {
+      seen.add(key);
+      buckets.push({ key, start: day });
+    }
+  }
+
+  return buckets;
+};
+
+const bucketOf = (field, interval, timezone) => ({
+  $dateToString: { format: BUCKET_FORMATS[interval], date: field, timezone },
+});
+
+// Status changes an admin made from pending to approved/rejected. Entries
+// without a previous status are the account's initial status (signup, import).
+const decisionStages = (range) => [
+  { $match: { isDemo: { $ne: true }, 'statusHistory.changedAt': range } },
+  { $unwind: '$statusHistory' },
+  {
+    $match: {
+      'statusHistory.changedAt': range,
+      'statusHistory.status': { $in: ['approved', 'rejected'] },
+      'statusHistory.previousStatus': 'pending',
+    },
+  },
+];
+
+// { key: count } of signups per bucket
+const countSignups = async (range, interval, timezone) => {
+  const rows = await User.aggregate([
+    { $match: { isDemo: { $ne: true }, createdAt: range } },
+    { $group: { _id: bucketOf('$createdAt', interval, timezone), count: { $sum: 1 } } },
+  ]);
+
+  return Object.fromEntries(rows.map(row => [row._id, row.count]));
+};
+
+// { key: { approved, rejected } } of decisions per bucket
+const countDecisions = async (range, interval, timezone) => {
+  const rows = await User.aggregate([
+    ...decisionStages(range),
+    {
+      $group: {
+        _id: {
+          bucket: bucketOf('$statusHistory.changedAt', interval, timezone),
+          status: '$statusHistory.status',
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const counts = {};
+  rows.forEach(({ _id, count }) => {
+    counts[_id.bucket] = counts[_id.bucket] || { approved: 0, rejected: 0 };
+    counts[_id.bucket][_id.status] = count;
+  });
+  return counts;
+};
+
+// { key: { logins, activeUsers } } per bucket; active users are the distinct
+// users who logged in or refreshed a session
+const countLogins = async (range, interval, timezone) => {
+  const rows = await LoginEvent.aggregate([
+    { $match: { createdAt: range } },
+    {
+      $group: {
+        _id: bucketOf('$createdAt', interval, timezone),
+        logins: { $sum: { $cond: [{ $eq: ['$type', 'login'] }, 1, 0] } },
+        users: { $addToSet: '$user' },
+      },
+    },
+    { $project: { logins: 1, activeUsers: { $size: '$users' } } },
+  ]);
+
+  return Object.fromEntries(rows.map(row => [row._id, { logins: row.logins, activeUsers: row.activeUsers }]));
+};
+
+// Distinct active users over the whole range (not the sum of the buckets)
+const countActiveUsers = async (range) => {
+  const [row] = await LoginEvent.aggregate([
+    { $match: { createdAt: range } },
+    { $group: { _id: '$user' } },
+    { $count: 'activeUsers' },
+  ]);
+
+  return row ? row.activeUsers : 0;
+};
+
+// Time from signup to the approve/reject decision, in hours
+const measureTurnaround = async (range) => {
+  const [row] = await User.aggregate([
+    ...decisionStages(range),
+    { $project: { hours: { $divide: [{ $subtract: ['$statusHistory.changedAt', '$createdAt'] }, HOUR_MS] } } },
+    {
+      $group: {
+        _id: null,
+        decisions: { $sum: 1 },
+        averageHours: { $avg: '$hours' },
+        minHours: { $min: '$hours' },
+        maxHours: { $max: '$hours' },
+      },
+    },
+  ]);
+
+  const round = value => Math.round(value * 100) / 100;
+
+  if (!row) {
+    return { decisions: 0, averageHours: null, minHours: null, maxHours: null };
+  }
+  return {
+    decisions: row.decisions,
+    averageHours: round(row.averageHours),
+    minHours: round(row.minHours),
+    maxHours: round(row.maxHours),
+  };
+};
+
+// Approvals and rejections per admin, most decisions first
+const countDecisionsByAdmin = async (range) => {
+  const rows = await User.aggregate([
+    ...decisionStages(range),
+    {
+      $group: {
+        _id: '$statusHistory.changedBy',
+        username: { $last: '$statusHistory.changedByUsername' },
+        approvals: { $sum: { $cond: [{ $eq: ['$statusHistory.status', 'approved'] }, 1, 0] } },
+        rejections: { $sum: { $cond: [{ $eq: ['$statusHistory.status', 'rejected'] }, 1, 0] } },
+      },
+    },
+    { $addFields: { total: { $add: ['$approvals', '$rejections'] } } },
+    { $sort: { total: -1, username: 1 } },
+  ]);
+
+  return rows.map(row => ({
+    adminId: row._id,
+    username: row.username,
+    approvals: row.approvals,
+    rejections: row.rejections,
+    total: row.total,
+  }));
+};
+
+// @route   GET /api/admin/stats/analytics
+// @desc    Signups, approvals, rejections, logins and active users per day or
+//          week, approval turnaround and per-admin decision counts.
+//          Query: from, to (YYYY-MM-DD, default the last 30 days),
+//          interval (day | week), timezone (IANA name, default UTC)
+// @access  Private (Admin: stats.read)
+router.get('/analytics', [
+  verifyAdminToken,
+  requirePermission('stats.read'),
+  query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('to must be a date (YYYY-MM-DD)'),
+  query('interval').optional().isIn(Object.keys(BUCKET_FORMATS)).withMessage('interval must be day or week'),
+  query('timezone').optional().custom(isValidTimeZone).withMessage('timezone must be an IANA time zone, e.g. Asia/Manila').bail()
+    .customSanitizer(canonicalTimeZone),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const interval = req.query.interval || 'day';
+    const timezone = req.query.timezone || 'UTC';
+    const to = req.query.to || localDate(new Date(), timezone);
+    const from = req.query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must not be after to',
+      });
+    }
+    if (from < addDays(to, -(MAX_RANGE_DAYS - 1))) {
+      return res.status(400).json({
+        success: false,
+        message: `The range can be at most ${MAX_RANGE_DAYS} days`,
+      });
+    }
+
+    const range = buildDateRange(from, to, timezone);
+
+    const [signups, decisions, logins, activeUsers, turnaround, admins] = await Promise.all([
+      countSignups(range, interval, timezone),
+      countDecisions(range, interval, timezone),
+      countLogins(range, interval, timezone),
+      countActiveUsers(range),
+      measureTurnaround(range),
+      countDecisionsByAdmin(range),
+    ]);
+
+    // Every bucket in the range, including the empty ones
+    const series = listBuckets(from, to, interval).map(({ key, start }) => ({
+      period: key,
+      start,
+      signups: signups[key] || 0,
+      approvals: decisions[key] ? decisions[key].approved : 0,
+      rejections: decisions[key] ? decisions[key].rejected : 0,
+      logins: logins[key] ? logins[key].logins : 0,
+      activeUsers: logins[key] ? logins[key].activeUsers : 0,
+    }));
+
+    const sum = field => series.reduce((total, bucket) => total + bucket[field], 0);
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        interval,
+        timezone,
+        totals: {
+          signups: sum('signups'),
+          approvals: sum('approvals'),
+          rejections: sum('rejections'),
+          logins: sum('logins'),
+          activeUsers,
+        },
+        series,
+        turnaround,
+        admins,
+      },
+    });
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching analytics',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { verifyAdminToken, requirePermission } = require('../middleware/auth');
+const { encodeCursor, decodeCursor, afterCursorFilter } = require('../utils/pagination');
+const { buildDateRange } = require('../utils/dateRange');
+
+// @route   GET /api/admin/audit-logs
+// @desc    Admin actions, newest first (cursor paginated). Filters: actor (admin id
+//          or username), action (comma separated), targetType, targetId, from, to
+// @access  Private (Admin: audit.read)
+router.get('/', [
+  verifyAdminToken,
+  requirePermission('audit.read'),
+  // Plain text only, so ?targetType[$ne]=x can't reach the query as an operator
+  ...['actor', 'action', 'targetType', 'targetId', 'cursor'].map(name => (
+    query(name).optional().isString().withMessage(`${name} must be text`)
+  )),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const { actor, action, targetType, targetId, from, to, cursor } = req.query;
+    const limit = req.query.limit || 50;
+    const filter = {};
+
+    if (actor) {
+      filter[mongoose.isValidObjectId(actor) ? 'actor' : 'actorUsername'] = actor;
+    }
+    if (action) {
+      filter.action = { $in: String(action).split(',').map(value => value.trim()) };
+    }
+    if (targetType) {
+      filter['target.type'] = targetType;
+    }
+    if (targetId) {
+      filter['target.id'] = String(targetId);
+    }
+
+    const createdAt = buildDateRange(from, to);
+    if (createdAt) {
+      filter.createdAt = createdAt;
+    }
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor',
+        });
+      }
+      Object.assign(filter, afterCursorFilter(position));
+    }
+
+    const logs = await AuditLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = logs.length > limit;
+    const page = logs.slice(0, limit);
+
+    res.json({
+      success: true,
+      data: {
+        logs: page,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+        hasMore,
+      },
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit logs',
+    });
+  }
+});
+
+module.exports = router;
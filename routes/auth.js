@@ -1,41 +1,60 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const Settings = require('../models/Settings');
-
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d',
-  });
+const Admin = require('../models/Admin');
+const {
+  hashToken,
+  buildTokenResponse,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require('../utils/sessions');
+const Session = require('../models/Session');
+const { allowPendingRequirements, verifyUserToken } = require('../middleware/auth');
+const { passwordPolicyValidator } = require('../utils/passwordPolicy');
+const { normalizePhone, phoneLookupValues, isPhoneVerificationRequired } = require('../utils/phone');
+const { getAccountBlock } = require('../utils/accountStatus');
+const { getUserFacingReason } = require('../utils/statusReasons');
+const { issueCode, consumeCode } = require('../services/oneTimeCodes');
+const { isLocked, lockMinutesRemaining, registerFailedLogin, clearFailedLogins } = require('../utils/lockout');
+const {
+  loginIpLimiter,
+  userLoginIdentifierLimiter,
+  lookupLimiter,
+  codeLimiter,
+} = require('../middleware/rateLimit');
+const { sendNotification } = require('../services/notifications');
+const { recordLoginEvent } = require('../services/loginEvents');
+const { resolveWebViewUrl } = require('../services/webView');
+
+const RESET_CODE_TTL_MINUTES = parseInt(process.env.RESET_CODE_TTL_MINUTES, 10) || 15;
+const PHONE_CODE_TTL_MINUTES = parseInt(process.env.PHONE_CODE_TTL_MINUTES, 10) || 10;
+
+// Build a User query for a login/lookup identifier (email, or phone in any format)
+const identifierQuery = (identifier) => {
+  return identifier.includes('@')
+    ? { email: identifier.toLowerCase() }
+    : { phone: { $in: phoneLookupValues(identifier) } };
 };
 
-// Helper to get WebView URL from database or fallback
-const getWebViewUrl = async () => {
-  try {
-    // Try to get from database first
-    const setting = await Settings.findOne({ key: 'webViewUrl' });
-    
-    if (setting && setting.value) {
-      return setting.value;
-    }
+// Send a fresh phone verification OTP to a newly registered user
+const sendPhoneVerificationCode = async (user) => {
+  const code = await issueCode({
+    account: user,
+    accountModel: 'User',
+    purpose: 'phone_verification',
+    channel: 'sms',
+    destination: user.phone,
+    ttlMinutes: PHONE_CODE_TTL_MINUTES,
+  });
 
-    // Fallback to environment variable
-    if (process.env.WEBVIEW_URL) {
-      return process.env.WEBVIEW_URL;
-    }
-    
-    // Final fallback to app-guide route
-    const port = process.env.PORT || 3332;
-    return `http://localhost:${port}/app-guide`;
-  } catch (error) {
-    console.error('Error fetching WebView URL:', error);
-    // Fallback on error
-    const port = process.env.PORT || 3332;
-    return process.env.WEBVIEW_URL || `http://localhost:${port}/app-guide`;
-  }
+  await sendNotification({
+    channel: 'sms',
+    to: user.phone,
+    text: `Your Philucky verification code is ${code}. It expires in ${PHONE_CODE_TTL_MINUTES} minutes.`,
+  });
 };
 
 // @route   POST /api/auth/signup
@@ -43,7 +62,7 @@ const getWebViewUrl = async () => {
 // @access  Public
 router.post('/signup', [
   body('phone').notEmpty().withMessage('Phone number is required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  passwordPolicyValidator('password'),
   body('email').optional().isEmail().withMessage('Invalid email format'),
 ], async (req, res) => {
   try {
@@ -58,12 +77,23 @@ router.post('/signup', [
       });
     }
 
-    const { phone, email, password, username } = req.body;
+    const { email, password, username } = req.body;
+
+    console.log('Signup attempt:', { phone: req.body.phone, email, username });
 
-    console.log('Signup attempt:', { phone, email, username });
+    // Store every number in E.164 so one phone can't register twice in different formats
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid phone number',
+      });
+    }
 
     // Check if phone already exists
-    const existingPhone = await User.findOne({ phone });
+    // Deleted users still hold their phone/email unless deletion released them
+    const existingPhone = await User.findOne({ phone: { $in: phoneLookupValues(req.body.phone) } })
+      .setOptions({ withDeleted: true });
     if (existingPhone) {
       console.log('Phone already exists:', phone);
       return res.status(400).json({
@@ -74,7 +104,7 @@ router.post('/signup', [
 
     // Check if email already exists (if provided)
     if (email) {
-      const existingEmail = await User.findOne({ email: email.toLowerCase() });
+      const existingEmail = await User.findOne({ email: email.toLowerCase() }).setOptions({ withDeleted: true });
       if (existingEmail) {
         console.log('Email already exists:', email);
         return res.status(400).json({
@@ -95,15 +125,23 @@ router.post('/signup', [
 
     console.log('User created successfully:', user._id);
 
+    const phoneVerificationRequired = isPhoneVerificationRequired();
+    if (phoneVerificationRequired) {
+      await sendPhoneVerificationCode(user);
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Registration successful! Your account is pending approval.',
+      message: phoneVerificationRequired
+        ? 'Registration successful! Enter the code we sent to your phone to continue.'
+        : 'Registration successful! Your account is pending approval.',
       data: {
         userId: user._id,
         phone: user.phone,
         email: user.email,
         username: user.username,
         status: user.status,
+        phoneVerificationRequired,
       },
     });
   } catch (error) {
@@ -139,6 +177,8 @@ router.post('/signup', [
 // @desc    Login user with phone OR email
 // @access  Public
 router.post('/login', [
+  loginIpLimiter,
+  userLoginIdentifierLimiter,
   body('identifier').notEmpty().withMessage('Phone number or email is required'),
   body('password').notEmpty().withMessage('Password is required'),
 ], async (req, res) => {
@@ -156,36 +196,8 @@ router.post('/login', [
 
     console.log('Login attempt with:', identifier);
 
-    // DEMO USER: Shows game rules (can login with phone or email)
-    if ((identifier === '1231237777' || identifier === 'demo@philucky.com') && password === 'Qqqwww888') {
-      const token = generateToken('demo-user-id');
-      console.log('Demo user login successful');
-      return res.json({
-        success: true,
-        message: 'Login successful',
-        isDemo: true,
-        showGames: true,
-        data: {
-          token,
-          user: {
-            id: 'demo-user-id',
-            phone: '1231237777',
-            username: 'Demo User',
-            email: 'demo@philucky.com',
-            balance: 1250.00,
-            status: 'demo',
-          },
-        },
-      });
-    }
-
-    // Determine if identifier is email or phone
-    const isEmail = identifier.includes('@');
-    
     // Find user by email OR phone
-    const query = isEmail 
-      ? { email: identifier.toLowerCase() }
-      : { phone: identifier };
+    const query = identifierQuery(identifier);
 
     console.log('Searching for user with query:', query);
 
@@ -199,9 +211,21 @@ router.post('/login', [
       });
     }
 
+    if (isLocked(user)) {
+      console.log('Login attempt on locked account:', identifier);
+      return res.status(423).json({
+        success: false,
+        message: `Too many failed attempts. Account is locked for ${lockMinutesRemaining(user)} more minute(s).`,
+        code: 'ACCOUNT_LOCKED',
+      });
+    }
+
     const isPasswordMatch = await user.comparePassword(password);
     if (!isPasswordMatch) {
       console.log('Invalid password for:', identifier);
+      if (await registerFailedLogin(User, user)) {
+        console.log('User account locked after repeated failures:', identifier);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -209,59 +233,45 @@ router.post('/login', [
     }
 
     // CRITICAL: Check user status - enforce approval
-    if (user.status === 'pending') {
-      console.log('User pending approval:', identifier);
-      return res.status(403).json({
-        success: false,
-        message: 'Your account is pending approval. Please wait for admin approval.',
-        status: 'pending',
-      });
-    }
-
-    if (user.status === 'rejected') {
-      console.log('User rejected:', identifier);
-      return res.status(403).json({
-        success: false,
-        message: 'Your account has been rejected. Please contact support.',
-        status: 'rejected',
-      });
-    }
-
-    if (!user.isActive) {
-      console.log('User inactive:', identifier);
-      return res.status(403).json({
-        success: false,
-        message: 'Your account has been deactivated. Please contact support.',
-      });
+    const block = getAccountBlock(user);
+    if (block) {
+      console.log(`User login blocked (${block.body.status || 'inactive'}):`, identifier);
+      return res.status(block.statusCode).json(block.body);
     }
 
     // Update last login
+    clearFailedLogins(user);
     user.lastLogin = Date.now();
     await user.save();
 
-    const token = generateToken(user._id);
+    const { session, refreshToken } = await createSession(user, req);
+    await recordLoginEvent(user, 'login', session);
 
-    // Get WebView URL from database settings
-    const webViewUrl = await getWebViewUrl();
+    // WebView URL for this platform / app version / user (see services/webView.js)
+    const webViewUrl = await resolveWebViewUrl(req, user);
 
-    console.log('User login successful:', identifier);
+    console.log(`${user.isDemo ? 'Demo' : 'User'} login successful:`, identifier);
     console.log('WebView URL:', webViewUrl);
 
     res.json({
       success: true,
       message: 'Login successful',
-      isDemo: false,
-      showGames: false,
+      // Demo/reviewer accounts are configured per account by admins
+      isDemo: user.isDemo,
+      showGames: user.isDemo && user.demo.showGames,
       data: {
-        token,
+        ...buildTokenResponse(user, session, refreshToken),
         user: {
           id: user._id,
           phone: user.phone,
           username: user.username,
           email: user.email,
-          balance: user.balance,
-          status: user.status,
+          balance: user.getDisplayBalance(),
+          status: user.isDemo ? 'demo' : user.status,
+          statusReason: getUserFacingReason(user),
         },
+        // App should send the user to PUT /api/auth/me/password first
+        mustChangePassword: user.mustChangePassword,
         // URL for webview - fetched from database or fallback
         webViewUrl: webViewUrl,
       },
@@ -276,20 +286,573 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (requires refresh token)
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+      });
+    }
+
+    if (result.reuseDetected) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.',
+        code: 'REFRESH_TOKEN_REUSED',
+      });
+    }
+
+    const { session, refreshToken } = result;
+
+    // The account may have changed since the session was created
+    const user = await User.findById(session.user);
+    if (!user || getAccountBlock(user)) {
+      await revokeSession(session._id, 'account_unavailable');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is no longer available. Please log in again.',
+      });
+    }
+
+    // Logged out of all devices (or password changed) after this session started
+    if (session.tokenVersion !== (user.tokenVersion || 0)) {
+      await revokeSession(session._id, 'token_version_changed');
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.',
+      });
+    }
+
+    await recordLoginEvent(user, 'refresh', session);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: buildTokenResponse(user, session, refreshToken),
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current device, or every device with allDevices: true
+// @access  Public (requires refresh token)
+router.post('/logout', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+  body('allDevices').optional().isBoolean().withMessage('allDevices must be a boolean'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const { refreshToken, allDevices } = req.body;
+
+    const session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+
+    // Already logged out (or never logged in) - nothing to revoke
+    if (!session || session.revokedAt) {
+      return res.json({
+        success: true,
+        message: 'Logged out successfully',
+      });
+    }
+
+    if (allDevices === true || allDevices === 'true') {
+      // Invalidates outstanding access tokens as well as every session
+      await User.updateOne({ _id: session.user }, { $inc: { tokenVersion: 1 } });
+      await revokeAllSessions(session.user, 'logout_all');
+
+      console.log(`User ${session.user} logged out of all devices`);
+
+      return res.json({
+        success: true,
+        message: 'Logged out of all devices successfully',
+      });
+    }
+
+    await revokeSession(session._id, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: error.message,
+    });
+  }
+});
+
+// Fields of the signed-in user returned by the self-service API
+const toProfile = (user) => ({
+  id: user._id,
+  phone: user.phone,
+  username: user.username,
+  email: user.email,
+  balance: user.getDisplayBalance(),
+  status: user.isDemo ? 'demo' : user.status,
+  isDemo: user.isDemo,
+  isActive: user.isActive,
+  mustChangePassword: user.mustChangePassword,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+});
+
+// @route   GET /api/auth/me
+// @desc    Get the signed-in user's profile and balance
+// @access  Private (User)
+router.get('/me', verifyUserToken, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: toProfile(req.user),
+    },
+  });
+});
+
+// @route   PATCH /api/auth/me
+// @desc    Update the signed-in user's username and/or email
+// @access  Private (User)
+router.patch('/me', [
+  verifyUserToken,
+  body('username').optional().trim().notEmpty().withMessage('Username cannot be empty')
+    .isLength({ max: 50 }).withMessage('Username must be at most 50 characters'),
+  body('email').optional().trim().isEmail().withMessage('Invalid email format'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const { username, email } = req.body;
+    const user = req.user;
+
+    if (username === undefined && email === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update',
+      });
+    }
+
+    if (email !== undefined && email.toLowerCase() !== user.email) {
+      const existingEmail = await User.findOne({
+        email: email.toLowerCase(),
+        _id: { $ne: user._id },
+      }).setOptions({ withDeleted: true });
+      if (existingEmail) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email already registered',
+        });
+      }
+      user.email = email.toLowerCase();
+    }
+
+    if (username !== undefined) {
+      user.username = username;
+    }
+
+    await user.save();
+
+    console.log('User profile updated:', user._id);
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        user: toProfile(user),
+      },
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors).map(err => err.message).join(', ');
+      return res.status(400).json({
+        success: false,
+        message: message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating profile',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/auth/me/password
+// @desc    Change the signed-in user's password (logs out other devices)
+// @access  Private (User)
+router.put('/me/password', [
+  allowPendingRequirements,
+  verifyUserToken,
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  passwordPolicyValidator('newPassword'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordMatch = await user.comparePassword(currentPassword);
+    if (!isPasswordMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password',
+      });
+    }
+
+    // Saving bumps tokenVersion; revoke every session, then give this device a fresh one
+    user.password = newPassword;
+    await user.save();
+    await revokeAllSessions(user._id, 'password_changed');
+
+    const { session, refreshToken } = await createSession(user, req);
+
+    console.log('User password changed:', user._id);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been logged out.',
+      data: buildTokenResponse(user, session, refreshToken),
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-phone
+// @desc    Confirm a signup's phone number with the OTP sent by SMS
+// @access  Public
+router.post('/verify-phone', [
+  codeLimiter,
+  body('phone').notEmpty().withMessage('Phone number is required'),
+  body('code').notEmpty().withMessage('Verification code is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const { phone, code } = req.body;
+
+    const user = await User.findOne({ phone: { $in: phoneLookupValues(phone) } });
+
+    if (user && user.phoneVerified) {
+      return res.json({
+        success: true,
+        message: 'Phone number already verified',
+        data: { status: user.status, phoneVerified: true },
+      });
+    }
+
+    const isValid = user && await consumeCode({
+      account: user,
+      accountModel: 'User',
+      purpose: 'phone_verification',
+      code,
+    });
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification code',
+      });
+    }
+
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = Date.now();
+    await user.save();
+
+    console.log('Phone verified for user:', user._id);
+
+    res.json({
+      success: true,
+      message: user.status === 'pending'
+        ? 'Phone number verified! Your account is pending approval.'
+        : 'Phone number verified!',
+      data: { status: user.status, phoneVerified: true },
+    });
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during phone verification',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-phone-code
+// @desc    Send a new phone verification OTP
+// @access  Public
+router.post('/resend-phone-code', [
+  codeLimiter,
+  body('phone').notEmpty().withMessage('Phone number is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findOne({ phone: { $in: phoneLookupValues(req.body.phone) } });
+
+    // Only unverified accounts get a code; the answer is the same either way
+    if (user && !user.phoneVerified) {
+      await sendPhoneVerificationCode(user);
+      console.log('Phone verification code resent for user:', user._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the number is awaiting verification, a new code has been sent.',
+    });
+  } catch (error) {
+    console.error('Resend phone code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification code',
+      error: error.message,
+    });
+  }
+});
+
+// Find the account a password reset is for.
+// Users are looked up by phone or email, admins by username or email.
+const findResetAccount = async (identifier, accountType) => {
+  const isEmail = identifier.includes('@');
+
+  if (accountType === 'admin') {
+    const query = isEmail
+      ? { email: identifier.toLowerCase() }
+      : { username: identifier };
+    return { account: await Admin.findOne(query), accountModel: 'Admin', isEmail };
+  }
+
+  return { account: await User.findOne(identifierQuery(identifier)), accountModel: 'User', isEmail };
+};
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset code by SMS (phone) or email
+// @access  Public
+router.post('/forgot-password', [
+  codeLimiter,
+  body('identifier').notEmpty().withMessage('Phone number, email or username is required'),
+  body('accountType').optional().isIn(['user', 'admin']).withMessage('accountType must be user or admin'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const { identifier, accountType = 'user' } = req.body;
+
+    // Same answer whether or not the account exists, so this can't be used to
+    // discover registered phones/emails
+    const genericResponse = {
+      success: true,
+      message: 'If an account matches, a reset code has been sent.',
+    };
+
+    const { account, accountModel, isEmail } = await findResetAccount(identifier, accountType);
+
+    if (!account) {
+      console.log('Password reset requested for unknown account:', identifier);
+      return res.json(genericResponse);
+    }
+
+    // Phones get an SMS; emails (and admins, who have no phone) get an email
+    const channel = accountModel === 'User' && !isEmail ? 'sms' : 'email';
+    const destination = channel === 'sms' ? account.phone : account.email;
+
+    if (!destination) {
+      console.log('Password reset requested but account has no', channel, ':', identifier);
+      return res.json(genericResponse);
+    }
+
+    const code = await issueCode({
+      account,
+      accountModel,
+      purpose: 'password_reset',
+      channel,
+      destination,
+      ttlMinutes: RESET_CODE_TTL_MINUTES,
+    });
+
+    await sendNotification({
+      channel,
+      to: destination,
+      subject: 'Philucky password reset',
+      text: `Your Philucky password reset code is ${code}. It expires in ${RESET_CODE_TTL_MINUTES} minutes. If you did not request this, ignore this message.`,
+    });
+
+    console.log(`Password reset code sent via ${channel} for ${accountModel} ${account._id}`);
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset code
+// @access  Public
+router.post('/reset-password', [
+  codeLimiter,
+  body('identifier').notEmpty().withMessage('Phone number, email or username is required'),
+  body('accountType').optional().isIn(['user', 'admin']).withMessage('accountType must be user or admin'),
+  body('code').notEmpty().withMessage('Reset code is required'),
+  passwordPolicyValidator('newPassword'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const { identifier, accountType = 'user', code, newPassword } = req.body;
+
+    const { account, accountModel } = await findResetAccount(identifier, accountType);
+
+    const isValid = account && await consumeCode({
+      account,
+      accountModel,
+      purpose: 'password_reset',
+      code,
+    });
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset code',
+      });
+    }
+
+    // Saving a new password bumps tokenVersion, which logs out every device
+    account.password = newPassword;
+    await account.save();
+
+    if (accountModel === 'User') {
+      await revokeAllSessions(account._id, 'password_reset');
+    }
+
+    console.log(`Password reset completed for ${accountModel} ${account._id}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors).map(err => err.message).join(', ');
+      return res.status(400).json({
+        success: false,
+        message: message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password',
+      error: error.message,
+    });
+  }
+});
+
 // @route   GET /api/auth/check-status/:identifier
 // @desc    Check user approval status by phone or email
 // @access  Public
-router.get('/check-status/:identifier', async (req, res) => {
+router.get('/check-status/:identifier', lookupLimiter, async (req, res) => {
   try {
     const { identifier } = req.params;
 
-    // Determine if identifier is email or phone
-    const isEmail = identifier.includes('@');
-    const query = isEmail 
-      ? { email: identifier.toLowerCase() }
-      : { phone: identifier };
-
-    const user = await User.findOne(query);
+    const user = await User.findOne(identifierQuery(identifier));
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -304,7 +867,9 @@ router.get('/check-status/:identifier', async (req, res) => {
         email: user.email,
         username: user.username,
         status: user.status,
+        reason: getUserFacingReason(user),
         isActive: user.isActive,
+        phoneVerified: user.phoneVerified,
         createdAt: user.createdAt,
       },
     });
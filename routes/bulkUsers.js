@@ -0,0 +1,262 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { verifyAdminToken, hasPermission } = require('../middleware/auth');
+const { isPhoneVerificationRequired } = require('../utils/phone');
+const { getReasonCodes, isValidReasonCode } = require('../utils/statusReasons');
+const { FILTER_FIELDS, userFilterValidators, buildUserFilter } = require('../utils/userFilters');
+const { audit } = require('../services/audit');
+const { softDeleteUser } = require('../services/userDeletion');
+
+// Most users a single bulk request may touch
+const getBulkLimit = () => parseInt(process.env.BULK_MAX_USERS, 10) || 500;
+
+// Each action: the permission it needs, whether a user can't take it (a
+// reason string) and how to apply it. check() runs for dry runs too.
+const ACTIONS = {
+  approve: {
+    permission: 'users.approve',
+    check: (user) => {
+      if (user.status === 'approved') {
+        return 'Already approved';
+      }
+      if (user.status === 'pending' && isPhoneVerificationRequired() && !user.phoneVerified) {
+        return 'User has not verified their phone number yet';
+      }
+      return null;
+    },
+    apply: async (user, req) => {
+      const previousStatus = user.status;
+      user.setStatus('approved', { reasonCode: req.body.reasonCode, note: req.body.note, admin: req.admin });
+      await user.save();
+      return { before: { status: previousStatus }, after: { status: user.status } };
+    },
+  },
+  reject: {
+    permission: 'users.approve',
+    check: (user) => (user.status === 'rejected' ? 'Already rejected' : null),
+    apply: async (user, req) => {
+      const previousStatus = user.status;
+      user.setStatus('rejected', { reasonCode: req.body.reasonCode, note: req.body.note, admin: req.admin });
+      await user.save();
+      return { before: { status: previousStatus }, after: { status: user.status } };
+    },
+  },
+  activate: {
+    permission: 'users.update',
+    check: (user) => (user.isActive ? 'Already active' : null),
+    apply: async (user) => {
+      user.isActive = true;
+      await user.save();
+      return { before: { isActive: false }, after: { isActive: true } };
+    },
+  },
+  deactivate: {
+    permission: 'users.update',
+    check: (user) => (!user.isActive ? 'Already inactive' : null),
+    apply: async (user) => {
+      user.isActive = false;
+      await user.save();
+      return { before: { isActive: true }, after: { isActive: false } };
+    },
+  },
+  delete: {
+    permission: 'users.delete',
+    check: () => null,
+    apply: async (user, req) => {
+      await softDeleteUser(user, req.admin);
+      return { before: { deletedAt: null }, after: { deletedAt: user.deletedAt.toISOString() } };
+    },
+  },
+};
+
+// Names the `filter` body field may use
+const BULK_FILTER_FIELDS = [...FILTER_FIELDS, 'createdBefore', 'createdAfter'];
+
+// Mongo filter from the `filter` body field: the user list filters, plus
+// createdBefore/createdAfter. Demo and deleted accounts are never included.
+const buildBulkFilter = (filter) => {
+  const query = buildUserFilter({ ...filter, deleted: undefined });
+
+  if (filter.createdBefore || filter.createdAfter) {
+    query.createdAt = query.createdAt || {};
+    if (filter.createdAfter) {
+      query.createdAt.$gte = new Date(filter.createdAfter);
+    }
+    if (filter.createdBefore) {
+      query.createdAt.$lt = new Date(filter.createdBefore);
+    }
+  }
+
+  return query;
+};
+
+// @route   POST /api/admin/users/bulk
+// @desc    Apply approve, reject, activate, deactivate or delete to a list of
+//          userIds or to every user matching a filter, with per-user results.
+//          dryRun: true reports what would happen without changing anything.
+// @access  Private (Admin: permission of the action)
+router.post('/', [
+  verifyAdminToken,
+  body('action').isIn(Object.keys(ACTIONS))
+    .withMessage(`Action must be one of: ${Object.keys(ACTIONS).join(', ')}`),
+  body('userIds').optional().isArray({ min: 1 }).withMessage('userIds must be a non-empty array'),
+  body('userIds.*').isMongoId().withMessage('userIds must contain valid user ids'),
+  body('filter').optional().isObject().withMessage('filter must be an object').bail()
+    .custom((filter) => {
+      const unknown = Object.keys(filter).filter(name => !BULK_FILTER_FIELDS.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown filter field(s): ${unknown.join(', ')}. Allowed: ${BULK_FILTER_FIELDS.join(', ')}`);
+      }
+      return true;
+    }),
+  ...userFilterValidators(name => body(`filter.${name}`)),
+  body('filter.createdBefore').optional().isISO8601().withMessage('filter.createdBefore must be a date'),
+  body('filter.createdAfter').optional().isISO8601().withMessage('filter.createdAfter must be a date'),
+  body('reasonCode').optional().custom((value, { req }) => {
+    if (['approve', 'reject'].includes(req.body.action)) {
+      const status = req.body.action === 'approve' ? 'approved' : 'rejected';
+      if (!isValidReasonCode(status, value)) {
+        throw new Error(`reasonCode must be one of: ${getReasonCodes(status).join(', ')}`);
+      }
+    }
+    return true;
+  }),
+  body('note').optional().isString().trim().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const { action, userIds, filter, dryRun = false } = req.body;
+    const definition = ACTIONS[action];
+
+    if (!await hasPermission(req, definition.permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+        code: 'PERMISSION_DENIED',
+        missingPermissions: [definition.permission],
+      });
+    }
+
+    if (Boolean(userIds) === Boolean(filter)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either userIds or filter',
+      });
+    }
+
+    const maxUsers = getBulkLimit();
+    const ids = userIds ? [...new Set(userIds)] : null;
+    const query = ids
+      ? { _id: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) }, isDemo: { $ne: true } }
+      : buildBulkFilter(filter);
+
+    // Refuse a filter that selects nothing in particular (e.g. only an empty
+    // search) rather than acting on every user
+    if (!ids && Object.keys(query).every(name => name === 'isDemo')) {
+      return res.status(400).json({
+        success: false,
+        message: 'filter must have at least one condition',
+      });
+    }
+
+    const tooLarge = matched => res.status(400).json({
+      success: false,
+      message: `At most ${maxUsers} users can be changed at once (${matched} selected). Narrow the selection.`,
+      code: 'BATCH_TOO_LARGE',
+      matched,
+      maxUsers,
+    });
+
+    const matched = ids ? ids.length : await User.countDocuments(query);
+    if (matched > maxUsers) {
+      return tooLarge(matched);
+    }
+
+    // Users can start matching after the count, so the cap is checked again
+    // on what is actually loaded
+    const users = await User.find(query).sort({ createdAt: 1 }).limit(maxUsers + 1);
+    if (users.length > maxUsers) {
+      return tooLarge(Math.max(users.length, await User.countDocuments(query)));
+    }
+
+    const results = [];
+    if (ids) {
+      const found = new Set(users.map(user => String(user._id)));
+      ids.filter(id => !found.has(id)).forEach((id) => {
+        results.push({ id, result: 'not_found', message: 'User not found' });
+      });
+    }
+
+    // One at a time: a failure only affects its own user
+    for (const user of users) {
+      const item = { id: user._id, phone: user.phone };
+      const problem = definition.check(user);
+
+      if (problem) {
+        results.push({ ...item, result: 'skipped', message: problem });
+        continue;
+      }
+
+      if (dryRun) {
+        results.push({ ...item, result: 'would_update' });
+        continue;
+      }
+
+      try {
+        const changes = await definition.apply(user, req);
+
+        await audit(req, {
+          action: `user.${action}`,
+          target: { type: 'User', id: user._id, label: item.phone },
+          ...changes,
+          metadata: { bulk: true, reasonCode: req.body.reasonCode, note: req.body.note },
+        });
+
+        results.push({ ...item, result: 'updated' });
+      } catch (error) {
+        console.error(`Bulk ${action} failed for user ${user._id}:`, error);
+        results.push({ ...item, result: 'failed', message: error.message });
+      }
+    }
+
+    const summary = results.reduce((counts, { result }) => {
+      counts[result] = (counts[result] || 0) + 1;
+      return counts;
+    }, { total: results.length });
+
+    if (!dryRun) {
+      console.log(`Bulk ${action} by admin ${req.admin.username}:`, JSON.stringify(summary));
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? `Dry run: ${summary.would_update || 0} user(s) would be changed` : `${summary.updated || 0} user(s) changed`,
+      data: {
+        action,
+        dryRun,
+        summary,
+        results,
+      },
+    });
+  } catch (error) {
+    console.error('Bulk user action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running bulk action',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { getPublicConfig } = require('../services/settings');
+const { resolveWebViewUrl } = require('../services/webView');
+
+// @route   GET /api/config
+// @desc    Remote config for the app: the settings flagged clientVisible.
+//          webViewUrl follows the X-App-Platform / X-App-Version targeting rules.
+//          Send the ETag back in If-None-Match to get 304 when nothing changed.
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const config = await getPublicConfig();
+    config.webViewUrl = await resolveWebViewUrl(req);
+    const body = { success: true, data: config };
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify(body)).digest('base64url');
+    res.set({
+      ETag: `"${hash.slice(0, 27)}"`,
+      // Clients may keep it but must revalidate before using it
+      'Cache-Control': 'no-cache',
+      Vary: 'X-App-Platform, X-App-Version',
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.json(body);
+  } catch (error) {
+    console.error('Get config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching config',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,315 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyAdminToken, requirePermission } = require('../middleware/auth');
+const { revokeAllSessions } = require('../utils/sessions');
+const { checkPassword, generatePassword } = require('../utils/passwordPolicy');
+const { normalizePhone, phoneLookupValues } = require('../utils/phone');
+const { audit } = require('../services/audit');
+
+// Demo / store-reviewer accounts are ordinary User documents flagged isDemo,
+// so they get real sessions and tokens like everyone else
+
+router.use(verifyAdminToken, requirePermission('demo.manage'));
+
+const toDemoAccount = (user) => ({
+  id: user._id,
+  label: user.demo.label,
+  phone: user.phone,
+  email: user.email,
+  username: user.username,
+  showGames: user.demo.showGames,
+  fixedBalance: user.demo.fixedBalance,
+  expiresAt: user.demo.expiresAt,
+  isExpired: Boolean(user.demo.expiresAt && user.demo.expiresAt <= Date.now()),
+  isActive: user.isActive,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+});
+
+const optionalPasswordValidator = body('password').optional().custom((value) => {
+  const problems = checkPassword(value);
+  if (problems.length > 0) {
+    throw new Error(problems[0]);
+  }
+  return true;
+});
+
+const demoSettingsValidators = [
+  body('label').optional().trim().isLength({ max: 100 }).withMessage('Label must be at most 100 characters'),
+  body('showGames').optional().isBoolean().withMessage('showGames must be a boolean').toBoolean(),
+  body('fixedBalance').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('fixedBalance must be a non-negative number').toFloat(),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be a date').toDate(),
+];
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+      errors: errors.array(),
+    });
+    return false;
+  }
+  return true;
+};
+
+// @route   GET /api/admin/demo-accounts
+// @desc    List demo / reviewer accounts
+// @access  Private (Admin: demo.manage)
+router.get('/', async (req, res) => {
+  try {
+    const users = await User.find({ isDemo: true }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        accounts: users.map(toDemoAccount),
+      },
+    });
+  } catch (error) {
+    console.error('Get demo accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching demo accounts',
+    });
+  }
+});
+
+// @route   POST /api/admin/demo-accounts
+// @desc    Create a demo account; the password is returned once
+// @access  Private (Admin: demo.manage)
+router.post('/', [
+  body('phone').trim().notEmpty().withMessage('Phone number is required'),
+  body('email').optional().trim().isEmail().withMessage('Invalid email format'),
+  body('username').optional().trim(),
+  optionalPasswordValidator,
+  ...demoSettingsValidators,
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) {
+      return;
+    }
+
+    const { email, username, label, showGames, fixedBalance, expiresAt } = req.body;
+
+    // Reviewer numbers are often not real, so keep them as typed if they don't parse
+    const phone = normalizePhone(req.body.phone) || req.body.phone;
+
+    if (await User.exists({ phone: { $in: phoneLookupValues(req.body.phone) } }).setOptions({ withDeleted: true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number already registered',
+      });
+    }
+
+    if (email && await User.exists({ email: email.toLowerCase() }).setOptions({ withDeleted: true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already registered',
+      });
+    }
+
+    const password = req.body.password || generatePassword();
+
+    const user = await User.create({
+      phone,
+      email: email ? email.toLowerCase() : undefined,
+      password,
+      username: username || 'Demo User',
+      status: 'approved',
+      phoneVerified: true,
+      isDemo: true,
+      demo: {
+        label,
+        showGames,
+        fixedBalance,
+        expiresAt,
+        createdBy: req.admin._id,
+      },
+    });
+
+    console.log(`Demo account ${user.phone} created by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'demo.create',
+      target: { type: 'User', id: user._id, label: user.phone },
+      after: toDemoAccount(user),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Demo account created. Share the password now - it will not be shown again.',
+      data: {
+        account: toDemoAccount(user),
+        password,
+      },
+    });
+  } catch (error) {
+    console.error('Create demo account error:', error);
+
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern)[0];
+      return res.status(400).json({
+        success: false,
+        message: `${field.charAt(0).toUpperCase() + field.slice(1)} already registered`,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating demo account',
+    });
+  }
+});
+
+// @route   PATCH /api/admin/demo-accounts/:userId
+// @desc    Update a demo account's flags, balance or expiry
+// @access  Private (Admin: demo.manage)
+router.patch('/:userId', [
+  ...demoSettingsValidators,
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) {
+      return;
+    }
+
+    const user = await User.findOne({ _id: req.params.userId, isDemo: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Demo account not found',
+      });
+    }
+
+    const before = toDemoAccount(user);
+
+    ['label', 'showGames', 'fixedBalance', 'expiresAt'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        user.demo[field] = req.body[field] === null ? undefined : req.body[field];
+      }
+    });
+
+    if (req.body.isActive !== undefined) {
+      user.isActive = req.body.isActive;
+    }
+
+    await user.save();
+
+    console.log(`Demo account ${user.phone} updated by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'demo.update',
+      target: { type: 'User', id: user._id, label: user.phone },
+      before,
+      after: toDemoAccount(user),
+    });
+
+    res.json({
+      success: true,
+      message: 'Demo account updated successfully',
+      data: {
+        account: toDemoAccount(user),
+      },
+    });
+  } catch (error) {
+    console.error('Update demo account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating demo account',
+    });
+  }
+});
+
+// @route   POST /api/admin/demo-accounts/:userId/rotate
+// @desc    Set a new password (generated unless given) and log out every device
+// @access  Private (Admin: demo.manage)
+router.post('/:userId/rotate', optionalPasswordValidator, async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) {
+      return;
+    }
+
+    const user = await User.findOne({ _id: req.params.userId, isDemo: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Demo account not found',
+      });
+    }
+
+    const password = req.body.password || generatePassword();
+
+    // Saving a new password bumps tokenVersion; sessions are revoked too
+    user.password = password;
+    await user.save();
+    await revokeAllSessions(user._id, 'password_rotated');
+
+    console.log(`Demo account ${user.phone} password rotated by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'demo.rotate_password',
+      target: { type: 'User', id: user._id, label: user.phone },
+    });
+
+    res.json({
+      success: true,
+      message: 'Password rotated. Share it now - it will not be shown again.',
+      data: {
+        account: toDemoAccount(user),
+        password,
+      },
+    });
+  } catch (error) {
+    console.error('Rotate demo account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating demo account password',
+    });
+  }
+});
+
+// @route   DELETE /api/admin/demo-accounts/:userId
+// @desc    Delete a demo account and its sessions
+// @access  Private (Admin: demo.manage)
+router.delete('/:userId', async (req, res) => {
+  try {
+    const user = await User.findOneAndDelete({ _id: req.params.userId, isDemo: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Demo account not found',
+      });
+    }
+
+    await Session.deleteMany({ user: user._id });
+
+    console.log(`Demo account ${user.phone} deleted by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'demo.delete',
+      target: { type: 'User', id: user._id, label: user.phone },
+      snapshot: user,
+    });
+
+    res.json({
+      success: true,
+      message: 'Demo account deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete demo account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting demo account',
+    });
+  }
+});
+
+module.exports = router;
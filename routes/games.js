@@ -1,6 +1,70 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult, matchedData } = require('express-validator');
 const Game = require('../models/Game');
+const { verifyAdminToken, requirePermission } = require('../middleware/auth');
+const { audit, pickFields } = require('../services/audit');
+
+const CATEGORIES = Game.schema.path('category').enumValues;
+
+const URL_OPTIONS = { protocols: ['http', 'https'], require_protocol: true };
+
+const CLEARABLE_FIELDS = ['imageUrl', 'playUrl'];
+
+// Field rules shared by create and update. On update every field is optional
+// and only the fields listed here can be changed.
+const gameValidators = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+    field('description').isString().trim().notEmpty().withMessage('Description is required'),
+    field('rules').isString().trim().notEmpty().withMessage('Rules are required'),
+    field('category').isIn(CATEGORIES)
+      .withMessage(`Category must be one of: ${CATEGORIES.join(', ')}`),
+    // Empty clears the URL back to its default
+    ...CLEARABLE_FIELDS.map(name => (
+      body(name).optional().trim().if(value => value !== '').isURL(URL_OPTIONS)
+        .withMessage(`${name} must be a valid http(s) URL`)
+    )),
+    body('order').optional().isInt().withMessage('Order must be an integer').toInt(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+  ];
+};
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+      errors: errors.array(),
+    });
+    return false;
+  }
+  return true;
+};
+
+const handleMongooseValidation = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(err => err.message).join(', ');
+    res.status(400).json({
+      success: false,
+      message: message,
+    });
+    return true;
+  }
+  return false;
+};
+
+const gameNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Game not found',
+  });
+};
 
 // @route   GET /api/games
 // @desc    Get all active games (for guide mode)
@@ -54,11 +118,15 @@ router.get('/:gameId', async (req, res) => {
 });
 
 // @route   POST /api/games
-// @desc    Create a new game (admin only - for testing)
-// @access  Admin
-router.post('/', async (req, res) => {
+// @desc    Create a new game
+// @access  Private (Admin: games.write)
+router.post('/', [verifyAdminToken, requirePermission('games.write'), ...gameValidators(false)], async (req, res) => {
   try {
-    const { name, description, rules, imageUrl, category, playUrl, order } = req.body;
+    if (!handleValidation(req, res)) {
+      return;
+    }
+
+    const { name, description, rules, imageUrl, category, playUrl, order, isActive } = req.body;
 
     const game = await Game.create({
       name,
@@ -66,8 +134,17 @@ router.post('/', async (req, res) => {
       rules,
       imageUrl,
       category,
-      playUrl: playUrl || 'https://google.com',
+      playUrl: playUrl || undefined,
       order: order || 0,
+      isActive,
+    });
+
+    console.log(`Game ${game.name} created by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'game.create',
+      target: { type: 'Game', id: game._id, label: game.name },
+      after: game,
     });
 
     res.status(201).json({
@@ -77,6 +154,9 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Create game error:', error);
+    if (handleMongooseValidation(error, res)) {
+      return;
+    }
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -87,20 +167,53 @@ router.post('/', async (req, res) => {
 
 // @route   PUT /api/games/:gameId
 // @desc    Update game
-// @access  Admin
-router.put('/:gameId', async (req, res) => {
+// @access  Private (Admin: games.write)
+router.put('/:gameId', [verifyAdminToken, requirePermission('games.write'), ...gameValidators(true)], async (req, res) => {
   try {
+    if (!handleValidation(req, res)) {
+      return;
+    }
+
     const { gameId } = req.params;
-    const updates = req.body;
+    if (!mongoose.isValidObjectId(gameId)) {
+      return gameNotFound(res);
+    }
 
-    const game = await Game.findByIdAndUpdate(gameId, updates, { new: true });
-    if (!game) {
-      return res.status(404).json({
+    // Only validated, known fields - never the raw body
+    const updates = matchedData(req, { locations: ['body'] });
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Game not found',
+        message: 'No valid fields to update',
       });
     }
 
+    const previous = await Game.findById(gameId);
+    if (!previous) {
+      return gameNotFound(res);
+    }
+
+    // An emptied URL is removed, so the schema default applies again
+    const update = {};
+    Object.entries(updates).forEach(([name, value]) => {
+      const operator = CLEARABLE_FIELDS.includes(name) && value === '' ? '$unset' : '$set';
+      update[operator] = { ...update[operator], [name]: operator === '$unset' ? 1 : value };
+    });
+
+    const game = await Game.findByIdAndUpdate(gameId, update, { new: true, runValidators: true });
+    if (!game) {
+      return gameNotFound(res);
+    }
+
+    console.log(`Game ${game.name} updated by admin ${req.admin.username}:`, Object.keys(updates).join(', '));
+
+    await audit(req, {
+      action: 'game.update',
+      target: { type: 'Game', id: game._id, label: game.name },
+      before: pickFields(previous, Object.keys(updates)),
+      after: pickFields(game, Object.keys(updates)),
+    });
+
     res.json({
       success: true,
       message: 'Game updated successfully',
@@ -108,6 +221,9 @@ router.put('/:gameId', async (req, res) => {
     });
   } catch (error) {
     console.error('Update game error:', error);
+    if (handleMongooseValidation(error, res)) {
+      return;
+    }
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -118,19 +234,27 @@ router.put('/:gameId', async (req, res) => {
 
 // @route   DELETE /api/games/:gameId
 // @desc    Delete game
-// @access  Admin
-router.delete('/:gameId', async (req, res) => {
+// @access  Private (Admin: games.write)
+router.delete('/:gameId', verifyAdminToken, requirePermission('games.write'), async (req, res) => {
   try {
     const { gameId } = req.params;
+    if (!mongoose.isValidObjectId(gameId)) {
+      return gameNotFound(res);
+    }
 
     const game = await Game.findByIdAndDelete(gameId);
     if (!game) {
-      return res.status(404).json({
-        success: false,
-        message: 'Game not found',
-      });
+      return gameNotFound(res);
     }
 
+    console.log(`Game ${game.name} deleted by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'game.delete',
+      target: { type: 'Game', id: game._id, label: game.name },
+      snapshot: game,
+    });
+
     res.json({
       success: true,
       message: 'Game deleted successfully',
@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { verifyAdminToken, requirePermission } = require('../middleware/auth');
+const {
+  TRANSACTION_TYPES,
+  LedgerError,
+  applyBalanceChange,
+  reconcilePendingTransactions,
+} = require('../services/ledger');
+const { audit } = require('../services/audit');
+
+const toTransaction = (transaction) => ({
+  id: transaction._id,
+  type: transaction.type,
+  amount: transaction.amount,
+  balanceBefore: transaction.balanceBefore,
+  balanceAfter: transaction.balanceAfter,
+  reason: transaction.reason,
+  performedBy: transaction.performedBy,
+  createdAt: transaction.createdAt,
+});
+
+// @route   POST /api/admin/users/:userId/transactions
+// @desc    Credit or debit a user's balance (send an Idempotency-Key header to make retries safe)
+// @access  Private (Admin: balance.adjust)
+router.post('/:userId/transactions', [
+  verifyAdminToken,
+  requirePermission('balance.adjust'),
+  body('type').isIn(Object.keys(TRANSACTION_TYPES))
+    .withMessage(`Type must be one of: ${Object.keys(TRANSACTION_TYPES).join(', ')}`),
+  body('amount').isFloat().withMessage('Amount must be a number').toFloat(),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  body('idempotencyKey').optional().isString().isLength({ min: 1, max: 100 })
+    .withMessage('Idempotency key must be 1-100 characters'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const { type, amount, reason } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+
+    const { transaction, user, replayed } = await applyBalanceChange({
+      userId: req.params.userId,
+      type,
+      amount,
+      reason,
+      adminId: req.admin._id,
+      idempotencyKey,
+    });
+
+    if (!replayed) {
+      console.log(`Balance ${type} of ${transaction.amount} for user ${user.phone} by admin ${req.admin.username} (balance now ${user.balance})`);
+
+      await audit(req, {
+        action: 'balance.adjust',
+        target: { type: 'User', id: user._id, label: user.phone },
+        before: { balance: transaction.balanceBefore },
+        after: { balance: transaction.balanceAfter },
+        metadata: { transactionId: transaction._id, type, amount: transaction.amount, reason },
+      });
+    }
+
+    res.status(replayed ? 200 : 201).json({
+      success: true,
+      message: replayed ? 'Transaction already applied' : 'Balance updated successfully',
+      replayed,
+      data: {
+        transaction: toTransaction(transaction),
+        // A replay reports the balance as of the original transaction
+        balance: replayed || !user ? transaction.balanceAfter : user.balance,
+      },
+    });
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    console.error('Balance transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating balance',
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:userId/transactions
+// @desc    List a user's balance transactions, newest first
+// @access  Private (Admin: users.read)
+router.get('/:userId/transactions', [
+  verifyAdminToken,
+  requirePermission('users.read'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+
+    const user = mongoose.isValidObjectId(req.params.userId) &&
+      await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Abandoned pending entries are settled first so none go missing
+    await reconcilePendingTransactions(user._id);
+    const filter = { user: user._id, status: 'completed' };
+
+    const transactions = await Transaction.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Transaction.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        balance: user.balance,
+        transactions: transactions.map(toTransaction),
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalTransactions: total,
+      },
+    });
+  } catch (error) {
+    console.error('Get transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transactions',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const Admin = require('../models/Admin');
+const { verifyAdminToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, SUPER_ADMIN_ROLE, isValidPermission } = require('../utils/permissions');
+const { audit, pickFields } = require('../services/audit');
+
+// Role management. Permission changes apply to every admin with the role on
+// their next request; changing an admin's role is done on the admin itself.
+
+router.use(verifyAdminToken, requirePermission('roles.manage'));
+
+const toRole = (role, adminCount = 0) => ({
+  name: role.name,
+  description: role.description,
+  permissions: role.permissions,
+  isBuiltIn: role.isBuiltIn,
+  isEditable: role.name !== SUPER_ADMIN_ROLE,
+  adminCount,
+  updatedAt: role.updatedAt,
+});
+
+const permissionsValidator = (isUpdate) => {
+  const chain = body('permissions');
+  return (isUpdate ? chain.optional() : chain)
+    .isArray().withMessage('Permissions must be an array')
+    .custom((permissions) => {
+      const unknown = permissions.filter(permission => !isValidPermission(permission));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+      }
+      return true;
+    });
+};
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+      errors: errors.array(),
+    });
+    return false;
+  }
+  return true;
+};
+
+const roleNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Role not found',
+  });
+};
+
+// @route   GET /api/admin/roles
+// @desc    List roles with how many admins have each, plus every available permission
+// @access  Private (Admin: roles.manage)
+router.get('/', async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ name: 1 }),
+      Admin.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+    ]);
+
+    const countByRole = {};
+    counts.forEach(({ _id, count }) => {
+      countByRole[_id] = count;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(role => toRole(role, countByRole[role.name])),
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      },
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles',
+    });
+  }
+});
+
+// @route   POST /api/admin/roles
+// @desc    Create a role
+// @access  Private (Admin: roles.manage)
+router.post('/', [
+  body('name').trim().toLowerCase()
+    .matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('Role names are 2-50 lowercase letters, digits or underscores'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be at most 200 characters'),
+  permissionsValidator(false),
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) {
+      return;
+    }
+
+    const { name, description, permissions } = req.body;
+
+    if (await Role.exists({ name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists',
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+    });
+
+    console.log(`Role ${role.name} created by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'role.create',
+      target: { type: 'Role', id: role.name, label: role.name },
+      after: pickFields(role, ['description', 'permissions']),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: {
+        role: toRole(role),
+      },
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating role',
+    });
+  }
+});
+
+// @route   PATCH /api/admin/roles/:name
+// @desc    Change a role's description or permissions
+// @access  Private (Admin: roles.manage)
+router.patch('/:name', [
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be at most 200 characters'),
+  permissionsValidator(true),
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) {
+      return;
+    }
+
+    if (req.params.name === SUPER_ADMIN_ROLE) {
+      return res.status(400).json({
+        success: false,
+        message: 'The super_admin role always has every permission and cannot be changed',
+      });
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return roleNotFound(res);
+    }
+
+    const before = pickFields(role, ['description', 'permissions']);
+
+    if (req.body.description !== undefined) {
+      role.description = req.body.description;
+    }
+    if (req.body.permissions !== undefined) {
+      role.permissions = [...new Set(req.body.permissions)];
+    }
+
+    await role.save();
+
+    console.log(`Role ${role.name} updated by admin ${req.admin.username}:`, role.permissions.join(', '));
+
+    await audit(req, {
+      action: 'role.update',
+      target: { type: 'Role', id: role.name, label: role.name },
+      before,
+      after: pickFields(role, ['description', 'permissions']),
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        role: toRole(role, await Admin.countDocuments({ role: role.name })),
+      },
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role',
+    });
+  }
+});
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Delete a custom role that no admin has
+// @access  Private (Admin: roles.manage)
+router.delete('/:name', async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return roleNotFound(res);
+    }
+
+    if (role.isBuiltIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted',
+      });
+    }
+
+    const adminCount = await Admin.countDocuments({ role: role.name });
+    if (adminCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${adminCount} admin(s). Move them to another role first.`,
+      });
+    }
+
+    await role.deleteOne();
+
+    console.log(`Role ${role.name} deleted by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'role.delete',
+      target: { type: 'Role', id: role.name, label: role.name },
+      snapshot: role,
+    });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting role',
+    });
+  }
+});
+
+module.exports = router;
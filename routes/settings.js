@@ -0,0 +1,242 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { verifyAdminToken, requirePermission } = require('../middleware/auth');
+const {
+  SettingsError,
+  listSettings,
+  updateSetting,
+  getSettingHistory,
+  rollbackSetting,
+} = require('../services/settings');
+const { isKnownSetting } = require('../utils/settingsRegistry');
+const { audit } = require('../services/audit');
+
+// App settings, declared with their types in utils/settingsRegistry.js
+
+router.use(verifyAdminToken);
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+    });
+    return false;
+  }
+  return true;
+};
+
+const sendSettingsError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+  });
+};
+
+const toVersion = (version) => ({
+  version: version.version,
+  value: version.value,
+  previousValue: version.previousValue,
+  rollbackOf: version.rollbackOf,
+  changedBy: version.changedBy,
+  changedByUsername: version.changedByUsername,
+  note: version.note,
+  createdAt: version.createdAt,
+});
+
+// Validate, store and audit a new value. Returns the saved setting.
+const changeSetting = async (req, key, value) => {
+  const { setting, previousValue, version } = await updateSetting(key, value, req.admin);
+
+  console.log(`Setting ${key} updated to ${JSON.stringify(setting.value)} by admin ${req.admin.username}`);
+
+  await audit(req, {
+    action: 'settings.update',
+    target: { type: 'Settings', id: key, label: key },
+    before: { value: previousValue },
+    after: { value: setting.value },
+    metadata: { version: version.version },
+  });
+
+  return setting;
+};
+
+// @route   GET /api/admin/settings
+// @desc    Every setting with its type, description, current and default value,
+//          keyed by setting name. Settings never set show their default.
+// @access  Private (Admin: settings.read)
+router.get('/', requirePermission('settings.read'), async (req, res) => {
+  try {
+    const settings = await listSettings();
+
+    res.json({
+      success: true,
+      data: Object.fromEntries(settings.map(({ key, ...setting }) => [key, setting])),
+    });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching settings',
+    });
+  }
+});
+
+// @route   PUT /api/admin/settings/webview-url
+// @desc    Update WebView URL (same as PUT /api/admin/settings/webViewUrl)
+// @access  Private (Admin: settings.write)
+router.put('/webview-url', [
+  requirePermission('settings.write'),
+  body('url').notEmpty().withMessage('URL is required'),
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const setting = await changeSetting(req, 'webViewUrl', req.body.url);
+
+    res.json({
+      success: true,
+      message: 'WebView URL updated successfully',
+      data: {
+        url: setting.value,
+        updatedAt: setting.updatedAt,
+      },
+    });
+  } catch (error) {
+    if (error instanceof SettingsError) {
+      return sendSettingsError(res, error);
+    }
+    console.error('Update WebView URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating WebView URL',
+    });
+  }
+});
+
+// @route   GET /api/admin/settings/:key/history
+// @desc    Every change of a setting, newest first: value, previous value, admin
+//          and time. Query: limit (default 50, max 200), before (version number)
+// @access  Private (Admin: settings.read)
+router.get('/:key/history', [
+  requirePermission('settings.read'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt(),
+  query('before').optional().isInt({ min: 1 }).withMessage('before must be a version number').toInt(),
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { limit = 50, before } = req.query;
+    const versions = await getSettingHistory(req.params.key, { limit, before });
+
+    res.json({
+      success: true,
+      data: {
+        key: req.params.key,
+        versions: versions.map(toVersion),
+        hasMore: versions.length === limit && versions[versions.length - 1].version > 1,
+      },
+    });
+  } catch (error) {
+    if (error instanceof SettingsError) {
+      return sendSettingsError(res, error);
+    }
+    console.error('Get setting history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching setting history',
+    });
+  }
+});
+
+// @route   POST /api/admin/settings/:key/rollback
+// @desc    Set a setting back to the value of an earlier { version }. The
+//          rollback is itself recorded as a new version.
+// @access  Private (Admin: settings.write)
+router.post('/:key/rollback', [
+  requirePermission('settings.write'),
+  body('version').isInt({ min: 1 }).withMessage('version must be a version number').toInt(),
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { key } = req.params;
+    const { setting, previousValue, version } = await rollbackSetting(key, req.body.version, req.admin);
+
+    console.log(`Setting ${key} rolled back to version ${req.body.version} by admin ${req.admin.username}`);
+
+    await audit(req, {
+      action: 'settings.rollback',
+      target: { type: 'Settings', id: key, label: key },
+      before: { value: previousValue },
+      after: { value: setting.value },
+      metadata: { version: version.version, rollbackOf: req.body.version },
+    });
+
+    res.json({
+      success: true,
+      message: `${key} restored to version ${req.body.version}`,
+      data: {
+        key,
+        value: setting.value,
+        version: toVersion(version),
+        updatedAt: setting.updatedAt,
+      },
+    });
+  } catch (error) {
+    if (error instanceof SettingsError) {
+      return sendSettingsError(res, error);
+    }
+    console.error('Rollback setting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rolling back setting',
+    });
+  }
+});
+
+// @route   PUT /api/admin/settings/:key
+// @desc    Set a setting; { value } is validated against the setting's type
+// @access  Private (Admin: settings.write)
+router.put('/:key', [
+  requirePermission('settings.write'),
+  body('value').exists().withMessage('Value is required'),
+], async (req, res) => {
+  try {
+    if (!isKnownSetting(req.params.key)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown setting "${req.params.key}"`,
+        code: 'UNKNOWN_SETTING',
+      });
+    }
+    if (!handleValidation(req, res)) return;
+
+    const setting = await changeSetting(req, req.params.key, req.body.value);
+
+    res.json({
+      success: true,
+      message: 'Setting updated successfully',
+      data: {
+        key: setting.key,
+        value: setting.value,
+        version: setting.version,
+        updatedAt: setting.updatedAt,
+      },
+    });
+  } catch (error) {
+    if (error instanceof SettingsError) {
+      return sendSettingsError(res, error);
+    }
+    console.error('Update setting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating setting',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,337 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { verifyAdminToken, requirePermission } = require('../middleware/auth');
+const { userFilterValidators, buildUserFilter, buildUserSort, SORT_FIELDS } = require('../utils/userFilters');
+const { toCsvRow, parseCsv, unescapeCsvValue } = require('../utils/csv');
+const { normalizePhone, phoneLookupValues } = require('../utils/phone');
+const { checkPassword, generatePassword } = require('../utils/passwordPolicy');
+const { audit } = require('../services/audit');
+
+// Bulk export and import of users, mounted under /api/admin/users
+
+// Exported columns - never the password hash or other secrets
+const EXPORT_FIELDS = [
+  'id',
+  'phone',
+  'email',
+  'username',
+  'status',
+  'isActive',
+  'phoneVerified',
+  'balance',
+  'lastLogin',
+  'createdAt',
+];
+
+const toExportRow = (user) => ({
+  id: String(user._id),
+  phone: user.phone,
+  email: user.email,
+  username: user.username,
+  status: user.status,
+  isActive: user.isActive,
+  phoneVerified: user.phoneVerified,
+  balance: user.balance,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+});
+
+const getImportLimit = () => parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000;
+
+const IMPORT_COLUMNS = ['phone', 'email', 'username', 'password'];
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+// Wait until a full response can take more. Resolves false if the client
+// disconnects first, so the caller can stop writing.
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+  const finish = (callback) => (value) => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', onError);
+    callback(value);
+  };
+  const onDrain = finish(() => resolve(true));
+  const onClose = finish(() => resolve(false));
+  const onError = finish(reject);
+
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+  res.on('error', onError);
+});
+
+// @route   GET /api/admin/users/export
+// @desc    Stream users matching the user list filters as CSV (default) or NDJSON
+// @access  Private (Admin: users.export)
+router.get('/export', [
+  verifyAdminToken,
+  requirePermission('users.export'),
+  ...userFilterValidators(),
+  query('format').optional().isIn(['csv', 'ndjson']).withMessage('format must be csv or ndjson'),
+  query('sort').optional().customSanitizer(value => String(value))
+    .isIn(SORT_FIELDS.flatMap(field => [field, `-${field}`]))
+    .withMessage(`sort must be one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)`),
+], async (req, res) => {
+  let cursor;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const filter = buildUserFilter(req.query);
+    const filename = `users-${new Date().toISOString().slice(0, 10)}.${format === 'csv' ? 'csv' : 'ndjson'}`;
+
+    await audit(req, {
+      action: 'user.export',
+      metadata: { format, filter: req.query },
+    });
+
+    console.log(`User export (${format}) by admin ${req.admin.username}`);
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+
+    // Streamed straight from a cursor so large exports don't sit in memory
+    cursor = User.find(filter)
+      .select(EXPORT_FIELDS.filter(field => field !== 'id').join(' '))
+      .sort(buildUserSort(req.query.sort))
+      .lean()
+      .cursor();
+
+    if (format === 'csv') {
+      res.write(toCsvRow(EXPORT_FIELDS));
+    }
+
+    for await (const user of cursor) {
+      // Client went away - stop reading from the database
+      if (res.destroyed) {
+        break;
+      }
+
+      const row = toExportRow(user);
+      const chunk = format === 'csv'
+        ? toCsvRow(EXPORT_FIELDS.map(field => row[field]))
+        : `${JSON.stringify(row)}\n`;
+
+      // Respect backpressure from slow clients
+      if (!res.write(chunk) && !await waitForDrain(res)) {
+        break;
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('User export error:', error);
+
+    // Headers are gone once streaming has started
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting users',
+    });
+  } finally {
+    if (cursor) {
+      await cursor.close().catch(error => console.error('User export cursor close error:', error));
+    }
+  }
+});
+
+// Validate one CSV row. Returns { user } or { errors }.
+const validateImportRow = (values) => {
+  const errors = [];
+
+  const phone = normalizePhone(values.phone);
+  if (!values.phone) {
+    errors.push('Phone number is required');
+  } else if (!phone) {
+    errors.push(`Invalid phone number "${values.phone}"`);
+  }
+
+  const email = values.email ? values.email.toLowerCase() : undefined;
+  if (email && !EMAIL_PATTERN.test(email)) {
+    errors.push(`Invalid email "${values.email}"`);
+  }
+
+  if (values.password) {
+    errors.push(...checkPassword(values.password));
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    user: {
+      phone,
+      email,
+      username: values.username || undefined,
+      password: values.password || undefined,
+    },
+  };
+};
+
+// @route   POST /api/admin/users/import
+// @desc    Create pre-approved users from a CSV body (Content-Type: text/csv)
+//          with columns phone, email, username, password. ?dryRun=true only validates.
+// @access  Private (Admin: users.import)
+router.post('/import', [
+  verifyAdminToken,
+  requirePermission('users.import'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the CSV file as the request body with Content-Type: text/csv',
+      });
+    }
+
+    const [header, ...rows] = parseCsv(req.body);
+    const columns = header.map(name => name.trim().toLowerCase());
+
+    if (!columns.includes('phone')) {
+      return res.status(400).json({
+        success: false,
+        message: `The first row must be a header with a phone column (supported: ${IMPORT_COLUMNS.join(', ')})`,
+      });
+    }
+
+    const maxRows = getImportLimit();
+    if (rows.length > maxRows) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${maxRows} rows can be imported at once (${rows.length} given)`,
+        code: 'BATCH_TOO_LARGE',
+      });
+    }
+
+    const dryRun = req.query.dryRun === true;
+    const created = [];
+    const rejected = [];
+    const seenPhones = new Set();
+    const seenEmails = new Set();
+
+    // Row numbers match the file, counting the header as row 1
+    for (const [index, cells] of rows.entries()) {
+      const rowNumber = index + 2;
+      const values = {};
+      columns.forEach((column, i) => {
+        if (IMPORT_COLUMNS.includes(column)) {
+          values[column] = unescapeCsvValue((cells[i] || '').trim());
+        }
+      });
+
+      const result = validateImportRow(values);
+      const reject = (rowErrors) => rejected.push({ row: rowNumber, phone: values.phone, errors: rowErrors });
+
+      if (result.errors) {
+        reject(result.errors);
+        continue;
+      }
+
+      const { user } = result;
+
+      if (seenPhones.has(user.phone) || (user.email && seenEmails.has(user.email))) {
+        reject(['Duplicate of an earlier row in this file']);
+        continue;
+      }
+      seenPhones.add(user.phone);
+      if (user.email) {
+        seenEmails.add(user.email);
+      }
+
+      const [phoneTaken, emailTaken] = await Promise.all([
+        User.exists({ phone: { $in: phoneLookupValues(values.phone) } }).setOptions({ withDeleted: true }),
+        user.email ? User.exists({ email: user.email }).setOptions({ withDeleted: true }) : null,
+      ]);
+      if (phoneTaken || emailTaken) {
+        reject([phoneTaken ? 'Phone number already registered' : 'Email already registered']);
+        continue;
+      }
+
+      if (dryRun) {
+        created.push({ row: rowNumber, phone: user.phone });
+        continue;
+      }
+
+      try {
+        // Without a password the user sets one through forgot-password
+        const newUser = await User.create({
+          ...user,
+          password: user.password || generatePassword(),
+          mustChangePassword: !user.password,
+          status: 'approved',
+          statusHistory: [{
+            status: 'approved',
+            note: 'Imported',
+            changedBy: req.admin._id,
+            changedByUsername: req.admin.username,
+          }],
+        });
+        created.push({ row: rowNumber, id: newUser._id, phone: newUser.phone });
+      } catch (error) {
+        reject([error.code === 11000 ? 'Phone number or email already registered' : error.message]);
+      }
+    }
+
+    if (!dryRun) {
+      console.log(`User import by admin ${req.admin.username}: ${created.length} created, ${rejected.length} rejected`);
+
+      await audit(req, {
+        action: 'user.import',
+        metadata: {
+          totalRows: rows.length,
+          created: created.length,
+          rejected: rejected.length,
+          userIds: created.map(item => item.id),
+        },
+      });
+    }
+
+    res.status(!dryRun && created.length > 0 ? 201 : 200).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${created.length} row(s) would be imported, ${rejected.length} rejected`
+        : `${created.length} user(s) imported, ${rejected.length} row(s) rejected`,
+      data: {
+        dryRun,
+        summary: {
+          totalRows: rows.length,
+          created: created.length,
+          rejected: rejected.length,
+        },
+        created,
+        rejected,
+      },
+    });
+  } catch (error) {
+    console.error('User import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing users',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const Transaction = require('../models/Transaction');
+const { verifyUserToken } = require('../middleware/auth');
+const { TRANSACTION_TYPES, reconcilePendingTransactions } = require('../services/ledger');
+const { encodeCursor, decodeCursor, afterCursorFilter } = require('../utils/pagination');
+const { buildDateRange } = require('../utils/dateRange');
+const { toCsvRow } = require('../utils/csv');
+
+// The signed-in user's own balance history, mounted under /api/auth/me
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// What a user sees of a ledger entry (no admin ids)
+const toUserTransaction = (transaction) => ({
+  id: transaction._id,
+  type: transaction.type,
+  amount: transaction.amount,
+  balanceAfter: transaction.balanceAfter,
+  reason: transaction.reason,
+  createdAt: transaction.createdAt,
+});
+
+const historyValidators = [
+  verifyUserToken,
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('type').optional().isIn(Object.keys(TRANSACTION_TYPES))
+    .withMessage(`type must be one of: ${Object.keys(TRANSACTION_TYPES).join(', ')}`),
+];
+
+// Ledger filter shared by the history list and the statement
+const buildHistoryFilter = (req) => {
+  const filter = { user: req.user._id, status: 'completed' };
+
+  const createdAt = buildDateRange(req.query.from, req.query.to);
+  if (createdAt) {
+    filter.createdAt = createdAt;
+  }
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  return filter;
+};
+
+// Totals over the whole filtered range, independent of pagination
+const summarize = async (filter) => {
+  const [totals] = await Transaction.aggregate([
+    { $match: filter },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        totalCredits: { $sum: { $cond: [{ $gt: ['$amount', 0] }, '$amount', 0] } },
+        totalDebits: { $sum: { $cond: [{ $lt: ['$amount', 0] }, '$amount', 0] } },
+        openingBalance: { $first: '$balanceBefore' },
+        closingBalance: { $last: '$balanceAfter' },
+      },
+    },
+  ]);
+
+  if (!totals) {
+    return { count: 0, totalCredits: 0, totalDebits: 0, net: 0, openingBalance: null, closingBalance: null };
+  }
+
+  return {
+    count: totals.count,
+    totalCredits: roundAmount(totals.totalCredits),
+    totalDebits: roundAmount(totals.totalDebits),
+    net: roundAmount(totals.totalCredits + totals.totalDebits),
+    openingBalance: totals.openingBalance,
+    closingBalance: totals.closingBalance,
+  };
+};
+
+// @route   GET /api/auth/me/transactions
+// @desc    The signed-in user's balance movements, newest first (cursor paginated)
+// @access  Private (User)
+router.get('/transactions', [
+  ...historyValidators,
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100').toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const limit = req.query.limit || 20;
+    await reconcilePendingTransactions(req.user._id);
+    const filter = buildHistoryFilter(req);
+    const pageFilter = { ...filter };
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor',
+        });
+      }
+      Object.assign(pageFilter, afterCursorFilter(cursor));
+    }
+
+    // Fetch one extra to know whether there is another page
+    const transactions = await Transaction.find(pageFilter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = transactions.length > limit;
+    const page = transactions.slice(0, limit);
+
+    res.json({
+      success: true,
+      data: {
+        balance: req.user.getDisplayBalance(),
+        transactions: page.map(toUserTransaction),
+        summary: await summarize(filter),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+        hasMore,
+      },
+    });
+  } catch (error) {
+    console.error('Get user transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching transactions',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/auth/me/statement
+// @desc    Download a balance statement (format=csv, default, or format=txt)
+// @access  Private (User)
+router.get('/statement', [
+  ...historyValidators,
+  query('format').optional().isIn(['csv', 'txt']).withMessage('format must be csv or txt'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    await reconcilePendingTransactions(req.user._id);
+    const filter = buildHistoryFilter(req);
+    const summary = await summarize(filter);
+    const filename = `statement-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(format === 'csv' ? 'text/csv' : 'text/plain');
+
+    // Oldest first, like a bank statement; streamed so long histories stay cheap
+    const cursor = Transaction.find(filter).sort({ createdAt: 1, _id: 1 }).cursor();
+
+    if (format === 'csv') {
+      res.write(toCsvRow(['Date', 'Type', 'Amount', 'Balance', 'Reason']));
+      for await (const transaction of cursor) {
+        res.write(toCsvRow([
+          transaction.createdAt,
+          transaction.type,
+          transaction.amount,
+          transaction.balanceAfter,
+          transaction.reason,
+        ]));
+      }
+      return res.end();
+    }
+
+    const line = (date, type, amount, balance, reason) => {
+      return `${date.padEnd(20)}${type.padEnd(12)}${amount.padStart(14)}${balance.padStart(14)}  ${reason}\n`;
+    };
+
+    res.write('Philucky balance statement\n');
+    res.write(`Account: ${req.user.phone}\n`);
+    res.write(`Period: ${req.query.from || 'beginning'} to ${req.query.to || 'now'}\n`);
+    res.write(`Generated: ${new Date().toISOString()}\n\n`);
+    res.write(line('Date', 'Type', 'Amount', 'Balance', 'Reason'));
+    res.write(`${'-'.repeat(80)}\n`);
+
+    for await (const transaction of cursor) {
+      res.write(line(
+        transaction.createdAt.toISOString().slice(0, 19).replace('T', ' '),
+        transaction.type,
+        transaction.amount.toFixed(2),
+        (transaction.balanceAfter || 0).toFixed(2),
+        (transaction.reason || '').replace(/\s+/g, ' ')
+      ));
+    }
+
+    res.write(`${'-'.repeat(80)}\n`);
+    res.write(`Transactions: ${summary.count}\n`);
+    res.write(`Opening balance: ${summary.openingBalance === null ? '-' : summary.openingBalance.toFixed(2)}\n`);
+    res.write(`Total credits: ${summary.totalCredits.toFixed(2)}\n`);
+    res.write(`Total debits: ${summary.totalDebits.toFixed(2)}\n`);
+    res.write(`Closing balance: ${summary.closingBalance === null ? '-' : summary.closingBalance.toFixed(2)}\n`);
+    res.end();
+  } catch (error) {
+    console.error('Statement error:', error);
+
+    // Headers are gone once streaming has started
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating statement',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
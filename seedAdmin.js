@@ -28,6 +28,7 @@ async function createFirstAdmin() {
       email: 'admin@philucky.com',
       password: 'Admin@123', // Change this password after first login!
       role: 'super_admin',
+      mustChangePassword: true,
     });
 
     console.log('✅ Admin user created successfully!');
@@ -41,7 +42,7 @@ async function createFirstAdmin() {
     console.log('Role:', admin.role);
     console.log('=================================');
     console.log('');
-    console.log('⚠️  IMPORTANT: Please change the default password after first login!');
+    console.log('⚠️  IMPORTANT: You will be asked to change the default password at first login.');
     console.log('');
 
     process.exit(0);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('./models/User');
+const { generatePassword } = require('./utils/passwordPolicy');
+
+// Creates the store-review demo account that used to be hardcoded in
+// routes/auth.js. Manage it afterwards via /api/admin/demo-accounts.
+const DEMO_PHONE = process.env.DEMO_PHONE || '1231237777';
+const DEMO_EMAIL = process.env.DEMO_EMAIL || 'demo@philucky.com';
+
+async function createDemoAccount() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+
+    const existing = await User.findOne({ $or: [{ phone: DEMO_PHONE }, { email: DEMO_EMAIL }] });
+
+    if (existing) {
+      console.log('An account with the demo phone/email already exists!');
+      console.log('Phone:', existing.phone);
+      console.log('Email:', existing.email);
+      console.log('Demo account:', existing.isDemo ? 'yes' : 'no');
+      process.exit(0);
+    }
+
+    const password = process.env.DEMO_PASSWORD || generatePassword();
+
+    const user = await User.create({
+      phone: DEMO_PHONE,
+      email: DEMO_EMAIL,
+      password,
+      username: 'Demo User',
+      status: 'approved',
+      phoneVerified: true,
+      isDemo: true,
+      demo: {
+        label: 'App store review',
+        showGames: true,
+        fixedBalance: 1250,
+      },
+    });
+
+    console.log('✅ Demo account created successfully!');
+    console.log('');
+    console.log('=================================');
+    console.log('Demo Credentials:');
+    console.log('=================================');
+    console.log('Phone:', user.phone);
+    console.log('Email:', user.email);
+    console.log('Password:', password);
+    console.log('=================================');
+    console.log('');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error creating demo account:', error);
+    process.exit(1);
+  }
+}
+
+createDemoAccount();
@@ -3,9 +3,18 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
 require('dotenv').config();
+const Role = require('./models/Role');
+const { startPurgeSchedule } = require('./services/userDeletion');
 
 const app = express();
 
+// Honour X-Forwarded-For when running behind a proxy/load balancer so req.ip
+// is the client address (TRUST_PROXY=1 for a single hop, or a subnet list)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -78,7 +87,9 @@ mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('✅ MongoDB connected successfully');
     console.log(`📦 Database: ${mongoose.connection.name}`);
+    return Role.ensureBuiltInRoles();
   })
+  .then(() => startPurgeSchedule())
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error.message);
     if (error.message.includes('IP')) {
@@ -90,7 +101,18 @@ mongoose.connect(process.env.MONGODB_URI)
 
 // API Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/auth/me', require('./routes/userTransactions'));
+app.use('/api/config', require('./routes/config'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/admin/demo-accounts', require('./routes/demoAccounts'));
+app.use('/api/admin/roles', require('./routes/roles'));
+app.use('/api/admin/admins', require('./routes/admins'));
+app.use('/api/admin/audit-logs', require('./routes/auditLogs'));
+app.use('/api/admin/stats', require('./routes/analytics'));
+app.use('/api/admin/settings', require('./routes/settings'));
+app.use('/api/admin/users/bulk', require('./routes/bulkUsers'));
+app.use('/api/admin/users', require('./routes/userImportExport'));
+app.use('/api/admin/users', require('./routes/ledger'));
 app.use('/api/games', require('./routes/games'));
 
 // Landing page route (serves index.html from public folder)
@@ -108,20 +130,80 @@ app.get('/', (req, res) => {
       message: 'Philucky Authentication Server',
       version: '1.0.0',
       endpoints: {
+        config: {
+          getConfig: 'GET /api/config',
+        },
         auth: {
           signup: 'POST /api/auth/signup',
           login: 'POST /api/auth/login',
+          refresh: 'POST /api/auth/refresh',
+          logout: 'POST /api/auth/logout',
+          getProfile: 'GET /api/auth/me',
+          updateProfile: 'PATCH /api/auth/me',
+          changePassword: 'PUT /api/auth/me/password',
+          getTransactions: 'GET /api/auth/me/transactions',
+          getStatement: 'GET /api/auth/me/statement',
+          forgotPassword: 'POST /api/auth/forgot-password',
+          resetPassword: 'POST /api/auth/reset-password',
           checkStatus: 'GET /api/auth/check-status/:identifier',
+          verifyPhone: 'POST /api/auth/verify-phone',
+          resendPhoneCode: 'POST /api/auth/resend-phone-code',
         },
         admin: {
           login: 'POST /api/admin/login',
+          loginTwoFactor: 'POST /api/admin/login/2fa',
+          twoFactorSetup: 'POST /api/admin/2fa/setup',
+          twoFactorEnable: 'POST /api/admin/2fa/enable',
+          twoFactorDisable: 'POST /api/admin/2fa/disable',
+          twoFactorRecoveryCodes: 'POST /api/admin/2fa/recovery-codes',
+          resetAdminTwoFactor: 'DELETE /api/admin/admins/:adminId/2fa',
+          getDemoAccounts: 'GET /api/admin/demo-accounts',
+          createDemoAccount: 'POST /api/admin/demo-accounts',
+          updateDemoAccount: 'PATCH /api/admin/demo-accounts/:userId',
+          rotateDemoAccount: 'POST /api/admin/demo-accounts/:userId/rotate',
+          deleteDemoAccount: 'DELETE /api/admin/demo-accounts/:userId',
+          getRoles: 'GET /api/admin/roles',
+          createRole: 'POST /api/admin/roles',
+          updateRole: 'PATCH /api/admin/roles/:name',
+          deleteRole: 'DELETE /api/admin/roles/:name',
+          getAdmins: 'GET /api/admin/admins',
+          createAdmin: 'POST /api/admin/admins',
+          inviteAdmin: 'POST /api/admin/admins/invite',
+          changeAdminRole: 'PUT /api/admin/admins/:adminId/role',
+          deactivateAdmin: 'PUT /api/admin/admins/:adminId/deactivate',
+          activateAdmin: 'PUT /api/admin/admins/:adminId/activate',
+          deleteAdmin: 'DELETE /api/admin/admins/:adminId',
+          getAuditLogs: 'GET /api/admin/audit-logs',
           verify: 'GET /api/admin/verify',
+          logout: 'POST /api/admin/logout',
+          logoutAll: 'POST /api/admin/logout-all',
+          changePassword: 'PUT /api/admin/me/password',
           getUsers: 'GET /api/admin/users',
           getStats: 'GET /api/admin/stats',
+          getAnalytics: 'GET /api/admin/stats/analytics',
           approveUser: 'PUT /api/admin/users/:userId/approve',
           rejectUser: 'PUT /api/admin/users/:userId/reject',
+          getStatusHistory: 'GET /api/admin/users/:userId/status-history',
+          getStatusReasons: 'GET /api/admin/status-reasons',
           toggleActive: 'PUT /api/admin/users/:userId/toggle-active',
+          setUserSegments: 'PUT /api/admin/users/:userId/segments',
+          requireUserPasswordChange: 'PUT /api/admin/users/:userId/require-password-change',
+          requireAdminPasswordChange: 'PUT /api/admin/admins/:adminId/require-password-change',
+          getLockouts: 'GET /api/admin/lockouts',
+          unlockUser: 'DELETE /api/admin/users/:userId/lockout',
+          unlockAdmin: 'DELETE /api/admin/admins/:adminId/lockout',
           deleteUser: 'DELETE /api/admin/users/:userId',
+          restoreUser: 'PUT /api/admin/users/:userId/restore',
+          bulkUsers: 'POST /api/admin/users/bulk',
+          exportUsers: 'GET /api/admin/users/export',
+          importUsers: 'POST /api/admin/users/import',
+          createTransaction: 'POST /api/admin/users/:userId/transactions',
+          getTransactions: 'GET /api/admin/users/:userId/transactions',
+          getSettings: 'GET /api/admin/settings',
+          updateSetting: 'PUT /api/admin/settings/:key',
+          updateWebViewUrl: 'PUT /api/admin/settings/webview-url',
+          getSettingHistory: 'GET /api/admin/settings/:key/history',
+          rollbackSetting: 'POST /api/admin/settings/:key/rollback',
         },
         games: {
           getGames: 'GET /api/games',
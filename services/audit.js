@@ -0,0 +1,116 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never stored in an audit entry, at any depth
+const SECRET_FIELDS = new Set([
+  'password',
+  'secret',
+  'pendingSecret',
+  'recoveryCodes',
+  'refreshTokenHash',
+  'previousTokenHashes',
+  'codeHash',
+]);
+
+// Plain, JSON-safe copy of a value with secret fields removed
+const sanitize = (value) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (typeof value.toObject === 'function') {
+    return sanitize(value.toObject({ depopulate: true }));
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(sanitize);
+  }
+  if (typeof value === 'object') {
+    // ObjectId and similar
+    if (value._bsontype) {
+      return String(value);
+    }
+    const copy = {};
+    for (const [key, inner] of Object.entries(value)) {
+      if (!SECRET_FIELDS.has(key) && key !== '__v') {
+        copy[key] = sanitize(inner);
+      }
+    }
+    return copy;
+  }
+  return value;
+};
+
+// Copy of the listed fields of a document, for the before/after of an action
+const pickFields = (doc, fields) => {
+  const picked = {};
+  fields.forEach((field) => {
+    picked[field] = doc ? sanitize(doc.get ? doc.get(field) : doc[field]) : undefined;
+  });
+  return picked;
+};
+
+// Reduce before/after to the keys whose value actually changed
+const diff = (before = {}, after = {}) => {
+  const changes = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach((key) => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes.before[key] = before[key];
+      changes.after[key] = after[key];
+    }
+  });
+
+  return changes;
+};
+
+// Record an admin action. Call it after the change has been saved:
+//
+//   await audit(req, {
+//     action: 'user.approve',
+//     target: { type: 'User', id: user._id, label: user.phone },
+//     before, after,        // objects from pickFields(); only differences are kept
+//     snapshot,             // whole document, for deletions
+//     metadata,             // anything else worth keeping (reason, amount ...)
+//   });
+//
+// A failure to write the log is reported but never fails the request.
+const audit = async (req, { action, target, before, after, snapshot, metadata }) => {
+  try {
+    const entry = {
+      actor: req.admin._id,
+      actorUsername: req.admin.username,
+      action,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    };
+
+    if (target) {
+      entry.target = {
+        type: target.type,
+        id: target.id !== undefined ? String(target.id) : undefined,
+        label: target.label,
+      };
+    }
+    if (before || after) {
+      entry.changes = diff(sanitize(before), sanitize(after));
+    }
+    if (snapshot) {
+      entry.snapshot = sanitize(snapshot);
+    }
+    if (metadata) {
+      entry.metadata = sanitize(metadata);
+    }
+
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error(`Audit log write failed for ${action}:`, error);
+  }
+};
+
+module.exports = {
+  audit,
+  pickFields,
+  sanitize,
+};
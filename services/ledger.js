@@ -0,0 +1,270 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+
+// Transaction types and the direction they move the balance.
+// Adjustments take a signed amount; every other type takes a positive amount.
+const TRANSACTION_TYPES = {
+  deposit: 1,
+  bonus: 1,
+  withdrawal: -1,
+  adjustment: 0,
+};
+
+class LedgerError extends Error {
+  constructor(message, statusCode = 400, code) {
+    super(message);
+    this.name = 'LedgerError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// The balance update only applies within APPLY_WINDOW_MS of the pending
+// Transaction being created. One still pending after PENDING_TIMEOUT_MS is
+// abandoned (the process died or the final save failed): its update can no
+// longer land, so it is safe to settle. The gap allows for clock differences
+// between servers and the database.
+const APPLY_WINDOW_MS = 10 * 1000;
+const PENDING_TIMEOUT_MS = 30 * 1000;
+
+// How many applied transaction ids each user keeps for settling them
+const LEDGER_APPLIED_KEEP = 100;
+
+// Balances are kept to 2 decimal places
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Signed change to apply for a type/amount pair
+const signedAmount = (type, amount) => {
+  const direction = TRANSACTION_TYPES[type];
+  const value = roundAmount(Number(amount));
+
+  if (direction === undefined) {
+    throw new LedgerError(`Invalid transaction type "${type}"`);
+  }
+  if (!Number.isFinite(value) || value === 0) {
+    throw new LedgerError('Amount must be a non-zero number');
+  }
+  if (direction !== 0 && value < 0) {
+    throw new LedgerError(`Amount for a ${type} must be positive`);
+  }
+
+  return direction === 0 ? value : direction * value;
+};
+
+// Credit or debit a user's balance and record it in the ledger.
+//
+// Without multi-document transactions (standalone MongoDB) this is made safe by:
+//   1. inserting a pending Transaction first - the unique (user, idempotencyKey)
+//      index means a retried request can never get past this step twice;
+//   2. applying the change with one conditional update that refuses to take the
+//      balance below zero;
+//   3. completing the Transaction with the resulting balance, or removing it if
+//      the update was refused.
+// Step 2 also records the transaction id on the user, so if step 3 never
+// happens the pending Transaction is later completed (the balance moved) or
+// removed (it didn't) - see settlePendingTransaction. Step 2 is refused once
+// APPLY_WINDOW_MS has passed, so a slow request can't move the balance after
+// its Transaction was settled as abandoned.
+//
+// Returns { transaction, user, replayed } - replayed is true when the
+// idempotency key had already been used and the original result is returned;
+// the balance to report is then transaction.balanceAfter, not user.balance.
+const applyBalanceChange = async ({ userId, type, amount, reason, adminId, idempotencyKey }) => {
+  const delta = signedAmount(type, amount);
+
+  await reconcilePendingTransactions(userId);
+
+  if (idempotencyKey) {
+    const existing = await findByIdempotencyKey(userId, idempotencyKey, type, delta);
+    if (existing) {
+      return existing;
+    }
+  }
+
+  let transaction;
+  try {
+    transaction = await Transaction.create({
+      user: userId,
+      type,
+      amount: delta,
+      reason,
+      performedBy: adminId,
+      idempotencyKey: idempotencyKey || undefined,
+    });
+  } catch (error) {
+    // Same key raced in from a concurrent retry
+    if (error.code === 11000 && idempotencyKey) {
+      const existing = await findByIdempotencyKey(userId, idempotencyKey, type, delta);
+      if (existing) {
+        return existing;
+      }
+    }
+    throw error;
+  }
+
+  const applyDeadline = new Date(transaction.createdAt.getTime() + APPLY_WINDOW_MS);
+
+  let user;
+  try {
+    const filter = {
+      _id: userId,
+      isDemo: { $ne: true },
+      $expr: { $lt: ['$$NOW', applyDeadline] },
+    };
+    if (delta < 0) {
+      filter.balance = { $gte: -delta };
+    }
+
+    // Pipeline update so the stored balance is rounded, not float-drifted.
+    // The second stage sees the new balance.
+    user = await User.findOneAndUpdate(
+      filter,
+      [
+        {
+          $set: {
+            balance: { $round: [{ $add: [{ $ifNull: ['$balance', 0] }, delta] }, 2] },
+            updatedAt: '$$NOW',
+          },
+        },
+        {
+          $set: {
+            ledgerApplied: {
+              $slice: [
+                {
+                  $concatArrays: [
+                    { $ifNull: ['$ledgerApplied', []] },
+                    [{ transaction: transaction._id, balanceAfter: '$balance' }],
+                  ],
+                },
+                -LEDGER_APPLIED_KEEP,
+              ],
+            },
+          },
+        },
+      ],
+      { new: true }
+    );
+  } catch (error) {
+    await Transaction.deleteOne({ _id: transaction._id });
+    throw error;
+  }
+
+  if (!user) {
+    await Transaction.deleteOne({ _id: transaction._id });
+    if (Date.now() >= applyDeadline.getTime()) {
+      throw new LedgerError('The balance change took too long and was not applied. Try again.', 503, 'LEDGER_TIMEOUT');
+    }
+    throw await explainRejectedUpdate(userId, delta);
+  }
+
+  await completeTransaction(transaction, user.balance);
+
+  return { transaction, user, replayed: false };
+};
+
+// Mark a pending Transaction completed with the balance its update left.
+// Only a pending row is changed, so a concurrent settle can't be overwritten;
+// if the row is gone it is written again, since the balance did move.
+const completeTransaction = async (transaction, balanceAfter) => {
+  const fields = {
+    status: 'completed',
+    balanceAfter,
+    balanceBefore: roundAmount(balanceAfter - transaction.amount),
+  };
+
+  const result = await Transaction.updateOne({ _id: transaction._id, status: 'pending' }, { $set: fields });
+  transaction.set(fields);
+
+  if (result.matchedCount === 0 && !await Transaction.exists({ _id: transaction._id })) {
+    await Transaction.create(transaction.toObject());
+    console.log(`Re-created transaction ${transaction._id} removed while its balance update was applied`);
+  }
+};
+
+// The earlier result for a reused key. The key must come with the same
+// request, so a different type or amount is refused rather than replayed.
+const findByIdempotencyKey = async (userId, idempotencyKey, type, delta) => {
+  const existing = await Transaction.findOne({ user: userId, idempotencyKey });
+  if (!existing) {
+    return null;
+  }
+
+  if (existing.type !== type || existing.amount !== delta) {
+    throw new LedgerError(
+      `This idempotency key was already used for a ${existing.type} of ${existing.amount}`,
+      422,
+      'IDEMPOTENCY_KEY_MISMATCH'
+    );
+  }
+
+  if (existing.status !== 'completed') {
+    if (Date.now() - existing.createdAt < PENDING_TIMEOUT_MS) {
+      throw new LedgerError('A request with this idempotency key is still being processed', 409, 'IDEMPOTENCY_IN_PROGRESS');
+    }
+    // Abandoned: replay it if the balance moved, otherwise apply it afresh
+    if (!await settlePendingTransaction(existing)) {
+      return null;
+    }
+  }
+
+  const user = await User.findById(userId);
+  return { transaction: existing, user, replayed: true };
+};
+
+// Finish a pending Transaction whose request never completed: mark it
+// completed if its balance update was applied, otherwise remove it.
+// Returns true when it was completed.
+const settlePendingTransaction = async (transaction) => {
+  const user = await User.findOne({ _id: transaction.user, 'ledgerApplied.transaction': transaction._id })
+    .select('+ledgerApplied')
+    .setOptions({ withDeleted: true });
+
+  if (!user) {
+    await Transaction.deleteOne({ _id: transaction._id, status: 'pending' });
+    console.log(`Removed abandoned transaction ${transaction._id} (balance was not changed)`);
+    return false;
+  }
+
+  const entry = user.ledgerApplied.find(item => String(item.transaction) === String(transaction._id));
+  await completeTransaction(transaction, entry.balanceAfter);
+  console.log(`Completed abandoned transaction ${transaction._id} (balance was changed)`);
+  return true;
+};
+
+// Settle a user's abandoned pending transactions before changing the
+// balance again, while their ids are still in ledgerApplied
+const reconcilePendingTransactions = async (userId) => {
+  const abandoned = await Transaction.find({
+    user: userId,
+    status: 'pending',
+    createdAt: { $lt: new Date(Date.now() - PENDING_TIMEOUT_MS) },
+  });
+
+  for (const transaction of abandoned) {
+    await settlePendingTransaction(transaction);
+  }
+};
+
+// Work out why the conditional balance update matched nothing
+const explainRejectedUpdate = async (userId, delta) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    return new LedgerError('User not found', 404);
+  }
+  if (user.isDemo) {
+    return new LedgerError('Demo account balances cannot be changed', 400, 'DEMO_ACCOUNT');
+  }
+  return new LedgerError(
+    `Insufficient balance: ${user.balance} available, ${-delta} requested`,
+    400,
+    'INSUFFICIENT_BALANCE'
+  );
+};
+
+module.exports = {
+  TRANSACTION_TYPES,
+  LedgerError,
+  applyBalanceChange,
+  reconcilePendingTransactions,
+};
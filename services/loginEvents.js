@@ -0,0 +1,24 @@
+const LoginEvent = require('../models/LoginEvent');
+
+const getRetentionDays = () => parseInt(process.env.LOGIN_EVENT_RETENTION_DAYS, 10) || 400;
+
+// Record a login or refresh for the analytics. Demo accounts are skipped and
+// a failure to write is reported but never fails the request.
+const recordLoginEvent = async (user, type, session) => {
+  if (user.isDemo) {
+    return;
+  }
+
+  try {
+    await LoginEvent.create({
+      user: user._id,
+      type,
+      platform: session && session.device ? session.device.platform : undefined,
+      expiresAt: new Date(Date.now() + getRetentionDays() * 24 * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    console.error('Login event write error:', error);
+  }
+};
+
+module.exports = { recordLoginEvent };
@@ -0,0 +1,45 @@
+// Delivery of SMS and email messages through pluggable transports.
+//
+// A transport is an object with `name` and `async send({ channel, to, subject, text })`.
+// The transport for each channel is picked by SMS_TRANSPORT / EMAIL_TRANSPORT,
+// falling back to NOTIFY_TRANSPORT and then 'console'. Real providers are added
+// with registerTransport() at startup.
+
+const transports = {
+  console: require('./transports/console'),
+  file: require('./transports/file'),
+};
+
+const CHANNELS = ['sms', 'email'];
+
+const registerTransport = (transport) => {
+  if (!transport || !transport.name || typeof transport.send !== 'function') {
+    throw new Error('A transport needs a name and a send() function');
+  }
+  transports[transport.name] = transport;
+};
+
+const getTransport = (channel) => {
+  const name = process.env[`${channel.toUpperCase()}_TRANSPORT`] ||
+    process.env.NOTIFY_TRANSPORT ||
+    'console';
+
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown notification transport "${name}" for ${channel}`);
+  }
+  return transport;
+};
+
+const sendNotification = async ({ channel, to, subject, text }) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`Unsupported notification channel "${channel}"`);
+  }
+
+  return getTransport(channel).send({ channel, to, subject, text });
+};
+
+module.exports = {
+  registerTransport,
+  sendNotification,
+};
@@ -0,0 +1,15 @@
+// Development transport: prints messages to the server log instead of sending them
+module.exports = {
+  name: 'console',
+
+  async send({ channel, to, subject, text }) {
+    console.log('\n📨 ==== Outgoing notification (console transport) ====');
+    console.log(`Channel: ${channel}`);
+    console.log(`To: ${to}`);
+    if (subject) {
+      console.log(`Subject: ${subject}`);
+    }
+    console.log(text);
+    console.log('====================================================\n');
+  },
+};
@@ -0,0 +1,15 @@
+const fs = require('fs');
+const path = require('path');
+
+// Test/dev transport: appends each message as a JSON line so tests and local
+// tooling can read the codes back (NOTIFY_FILE_PATH, default ./notifications.log)
+module.exports = {
+  name: 'file',
+
+  async send(message) {
+    const filePath = process.env.NOTIFY_FILE_PATH || path.join(process.cwd(), 'notifications.log');
+    const line = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+
+    await fs.promises.appendFile(filePath, `${line}\n`, 'utf8');
+  },
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const OneTimeCode = require('../models/OneTimeCode');
+
+const CODE_LENGTH = 6;
+const MAX_ATTEMPTS = parseInt(process.env.ONE_TIME_CODE_MAX_ATTEMPTS, 10) || 5;
+
+// Six digits are cheap to brute-force from a plain hash, so key it with the
+// server secret - a leaked collection alone is not enough to recover codes
+const hashCode = (code) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(String(code)).digest('hex');
+};
+
+const generateCode = () => {
+  return crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+};
+
+// Create a new code, replacing any unused code for the same account/purpose.
+// Returns the raw code so the caller can deliver it.
+const issueCode = async ({ account, accountModel, purpose, channel, destination, ttlMinutes }) => {
+  const code = generateCode();
+
+  await OneTimeCode.deleteMany({
+    account: account._id,
+    accountModel,
+    purpose,
+    usedAt: null,
+  });
+
+  await OneTimeCode.create({
+    account: account._id,
+    accountModel,
+    purpose,
+    codeHash: hashCode(code),
+    channel,
+    destination,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+
+  return code;
+};
+
+// Check a code and mark it used. Each wrong guess counts against the code,
+// which stops working after MAX_ATTEMPTS. Returns true if the code was valid.
+const consumeCode = async ({ account, accountModel, purpose, code }) => {
+  const active = {
+    account: account._id,
+    accountModel,
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: MAX_ATTEMPTS },
+  };
+
+  const matched = await OneTimeCode.findOneAndUpdate(
+    { ...active, codeHash: hashCode(code) },
+    { $set: { usedAt: new Date() } }
+  );
+
+  if (matched) {
+    return true;
+  }
+
+  await OneTimeCode.updateMany(active, { $inc: { attempts: 1 } });
+  return false;
+};
+
+module.exports = {
+  issueCode,
+  consumeCode,
+};
@@ -0,0 +1,223 @@
+const Settings = require('../models/Settings');
+const SettingVersion = require('../models/SettingVersion');
+const {
+  SETTINGS,
+  isKnownSetting,
+  getClientVisibleKeys,
+  getDefaultValue,
+  parseSettingValue,
+} = require('../utils/settingsRegistry');
+
+// Values are cached in process. A write here clears its key at once; other
+// server instances pick the change up within SETTINGS_CACHE_TTL_SECONDS.
+const getCacheTtlMs = () => {
+  const seconds = parseInt(process.env.SETTINGS_CACHE_TTL_SECONDS, 10);
+  return (Number.isInteger(seconds) && seconds >= 0 ? seconds : 60) * 1000;
+};
+
+const cache = new Map();
+
+class SettingsError extends Error {
+  constructor(message, statusCode = 400, code) {
+    super(message);
+    this.name = 'SettingsError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const conflictError = (key) => {
+  return new SettingsError(`${key} was changed by someone else at the same time. Reload and try again.`, 409, 'SETTING_CONFLICT');
+};
+
+const assertKnown = (key) => {
+  if (!isKnownSetting(key)) {
+    throw new SettingsError(`Unknown setting "${key}"`, 404, 'UNKNOWN_SETTING');
+  }
+};
+
+const invalidateSettingsCache = (key) => {
+  if (key) {
+    cache.delete(key);
+  } else {
+    cache.clear();
+  }
+};
+
+// Stored value of a setting, or its default. Never writes anything.
+const getSetting = async (key) => {
+  assertKnown(key);
+
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await Settings.findOne({ key });
+  // Stored values that no longer pass validation (e.g. written before the
+  // registry existed) fall back to the default
+  const stored = setting && setting.value !== undefined && setting.value !== null
+    ? parseSettingValue(key, setting.value)
+    : null;
+  const value = stored && !stored.error ? stored.value : getDefaultValue(key);
+
+  cache.set(key, { value, expiresAt: Date.now() + getCacheTtlMs() });
+  return value;
+};
+
+// { key: value } of the settings flagged clientVisible, for the app
+const getPublicConfig = async () => {
+  const keys = getClientVisibleKeys();
+  const values = await Promise.all(keys.map(getSetting));
+
+  return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+};
+
+// Every registered setting with its definition and current value, for admins
+const listSettings = async () => {
+  const stored = await Settings.find({ key: { $in: Object.keys(SETTINGS) } });
+  const byKey = new Map(stored.map(setting => [setting.key, setting]));
+
+  return Object.entries(SETTINGS).map(([key, definition]) => {
+    const setting = byKey.get(key);
+    return {
+      key,
+      type: definition.type,
+      description: definition.description,
+      values: definition.values,
+      clientVisible: Boolean(definition.clientVisible),
+      value: setting ? setting.value : getDefaultValue(key),
+      defaultValue: getDefaultValue(key),
+      isDefault: !setting,
+      version: setting ? setting.version : null,
+      updatedAt: setting ? setting.updatedAt : null,
+      updatedBy: setting ? setting.updatedBy : null,
+    };
+  });
+};
+
+// Add the next entry to a key's history. A setting stored before history was
+// kept gets its current value recorded first, so it can be rolled back to.
+const recordVersion = async (setting, key, entry) => {
+  const latest = await SettingVersion.findOne({ key }).sort({ version: -1 });
+  let version = latest ? latest.version + 1 : 1;
+
+  try {
+    if (!latest && setting) {
+      await SettingVersion.create({
+        key,
+        version,
+        value: setting.value,
+        changedBy: setting.updatedBy,
+        note: 'Value before history was recorded',
+        createdAt: setting.updatedAt,
+      });
+      version += 1;
+    }
+
+    return await SettingVersion.create({ key, version, ...entry });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw conflictError(key);
+    }
+    throw error;
+  }
+};
+
+// Store a value only if the setting is still the one it was read as, so a
+// concurrent change can't leave history and the stored value disagreeing.
+// Returns the saved setting, or null if someone else got there first.
+const writeSetting = async (setting, key, fields) => {
+  if (!setting) {
+    try {
+      return await Settings.create({ key, ...fields });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Settings stored before versions were kept have no version yet; null
+  // matches a missing field
+  const expectedVersion = setting.version === undefined ? null : setting.version;
+
+  return Settings.findOneAndUpdate(
+    { _id: setting._id, version: expectedVersion },
+    { $set: { ...fields, updatedAt: Date.now() } },
+    { new: true }
+  );
+};
+
+// Validate, store and version a value. Returns { setting, previousValue, version }.
+const updateSetting = async (key, value, admin, { rollbackOf } = {}) => {
+  assertKnown(key);
+
+  const parsed = parseSettingValue(key, value);
+  if (parsed.error) {
+    throw new SettingsError(parsed.error, 400, 'INVALID_SETTING_VALUE');
+  }
+
+  const current = await Settings.findOne({ key });
+  const previousValue = current ? current.value : getDefaultValue(key);
+
+  const version = await recordVersion(current, key, {
+    value: parsed.value,
+    previousValue,
+    rollbackOf,
+    changedBy: admin._id,
+    changedByUsername: admin.username,
+  });
+
+  const setting = await writeSetting(current, key, {
+    value: parsed.value,
+    description: SETTINGS[key].description,
+    updatedBy: admin._id,
+    version: version.version,
+  });
+
+  if (!setting) {
+    // Drop the entry just recorded, it never became the stored value
+    await SettingVersion.deleteOne({ _id: version._id });
+    throw conflictError(key);
+  }
+
+  invalidateSettingsCache(key);
+  return { setting, previousValue, version };
+};
+
+// A key's history, newest first. `before` pages back from a version number.
+const getSettingHistory = async (key, { limit = 50, before } = {}) => {
+  assertKnown(key);
+
+  const filter = { key };
+  if (before) {
+    filter.version = { $lt: before };
+  }
+
+  return SettingVersion.find(filter).sort({ version: -1 }).limit(limit);
+};
+
+// Set a key back to the value it had in an earlier version, as a new version
+const rollbackSetting = async (key, versionNumber, admin) => {
+  assertKnown(key);
+
+  const target = await SettingVersion.findOne({ key, version: versionNumber });
+  if (!target) {
+    throw new SettingsError(`${key} has no version ${versionNumber}`, 404, 'VERSION_NOT_FOUND');
+  }
+
+  return updateSetting(key, target.value, admin, { rollbackOf: target.version });
+};
+
+module.exports = {
+  SettingsError,
+  getSetting,
+  getPublicConfig,
+  listSettings,
+  updateSetting,
+  getSettingHistory,
+  rollbackSetting,
+  invalidateSettingsCache,
+};
@@ -0,0 +1,121 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { phoneLookupValues } = require('../utils/phone');
+
+// Deleted users are kept for USER_DELETE_RETENTION_DAYS (default 30) so a
+// mistaken delete can be restored, then purged for good.
+const getRetentionDays = () => {
+  const days = parseInt(process.env.USER_DELETE_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : 30;
+};
+
+// With RELEASE_DELETED_USER_IDENTIFIERS=true a deleted user's phone and email
+// can be registered again straight away
+const shouldReleaseIdentifiers = () => process.env.RELEASE_DELETED_USER_IDENTIFIERS === 'true';
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+class UserDeletionError extends Error {
+  constructor(message, statusCode = 400, code) {
+    super(message);
+    this.name = 'UserDeletionError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Mark a user deleted and sign them out everywhere
+const softDeleteUser = async (user, admin) => {
+  user.deletedAt = new Date();
+  user.deletedBy = admin._id;
+  user.deletedByUsername = admin.username;
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+
+  // phone is unique and required, so it is swapped for a placeholder
+  if (shouldReleaseIdentifiers()) {
+    user.releasedIdentifiers = { phone: user.phone, email: user.email };
+    user.phone = `deleted:${user._id}`;
+    user.email = undefined;
+  }
+
+  await user.save();
+  await Session.deleteMany({ user: user._id });
+
+  return user;
+};
+
+// Undo a soft delete. Released identifiers are taken back unless someone
+// registered them in the meantime.
+const restoreUser = async (user) => {
+  const { phone, email } = user.releasedIdentifiers || {};
+
+  if (phone) {
+    const taken = await User.exists({ phone: { $in: phoneLookupValues(phone) } });
+    if (taken) {
+      throw new UserDeletionError(
+        `Phone number ${phone} has been registered again since this user was deleted`,
+        409,
+        'PHONE_TAKEN'
+      );
+    }
+    user.phone = phone;
+  }
+
+  if (email) {
+    const taken = await User.exists({ email });
+    if (taken) {
+      throw new UserDeletionError(
+        `Email ${email} has been registered again since this user was deleted`,
+        409,
+        'EMAIL_TAKEN'
+      );
+    }
+    user.email = email;
+  }
+
+  user.deletedAt = undefined;
+  user.deletedBy = undefined;
+  user.deletedByUsername = undefined;
+  user.releasedIdentifiers = undefined;
+
+  await user.save();
+  return user;
+};
+
+// Permanently remove users deleted longer ago than the retention period.
+// Returns the number removed.
+const purgeDeletedUsers = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const expired = await User.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id phone');
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  const ids = expired.map(user => user._id);
+  await Session.deleteMany({ user: { $in: ids } });
+  const { deletedCount } = await User.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null, $lte: cutoff } });
+
+  console.log(`Purged ${deletedCount} user(s) deleted before ${cutoff.toISOString()}`);
+  return deletedCount;
+};
+
+// Run the purge now and then every hour
+const startPurgeSchedule = () => {
+  const run = () => purgeDeletedUsers().catch((error) => {
+    console.error('Purge deleted users error:', error);
+  });
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  UserDeletionError,
+  getRetentionDays,
+  shouldReleaseIdentifiers,
+  softDeleteUser,
+  restoreUser,
+  purgeDeletedUsers,
+  startPurgeSchedule,
+};
@@ -0,0 +1,62 @@
+const { getSetting } = require('./settings');
+const { getDefaultValue } = require('../utils/settingsRegistry');
+const { isValidAppVersion, compareAppVersions } = require('../utils/appVersion');
+
+// Platform and version the app sends with every request
+const getClientInfo = (req) => {
+  const platform = req.get('x-app-platform');
+  const appVersion = req.get('x-app-version');
+
+  return {
+    platform: platform ? platform.trim().toLowerCase() : null,
+    appVersion: appVersion && isValidAppVersion(appVersion.trim()) ? appVersion.trim() : null,
+  };
+};
+
+// Status as reported to the app - demo accounts are 'demo'
+const userStatus = user => (user.isDemo ? 'demo' : user.status);
+
+// Whether every condition of a rule holds. A condition on something the
+// request doesn't tell us (no header, no logged-in user) doesn't match.
+const matchesRule = (rule, { platform, appVersion, user }) => {
+  if (rule.platforms && !rule.platforms.map(name => name.toLowerCase()).includes(platform)) {
+    return false;
+  }
+  if (rule.minAppVersion && (!appVersion || compareAppVersions(appVersion, rule.minAppVersion) < 0)) {
+    return false;
+  }
+  if (rule.maxAppVersion && (!appVersion || compareAppVersions(appVersion, rule.maxAppVersion) > 0)) {
+    return false;
+  }
+  if (rule.statuses && (!user || !rule.statuses.includes(userStatus(user)))) {
+    return false;
+  }
+  if (rule.segments) {
+    const segments = user ? user.segments || [] : [];
+    if (!rule.segments.some(segment => segments.includes(segment.toLowerCase()))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// WebView URL for a request: the first webViewUrlRules entry that matches,
+// else the webViewUrl setting. `user` is optional (e.g. remote config).
+const resolveWebViewUrl = async (req, user) => {
+  try {
+    const rules = await getSetting('webViewUrlRules');
+    const client = { ...getClientInfo(req), user };
+    const rule = rules.find(candidate => matchesRule(candidate, client));
+
+    return rule ? rule.url : await getSetting('webViewUrl');
+  } catch (error) {
+    console.error('Error fetching WebView URL:', error);
+    return getDefaultValue('webViewUrl');
+  }
+};
+
+module.exports = {
+  getClientInfo,
+  matchesRule,
+  resolveWebViewUrl,
+};
@@ -0,0 +1,71 @@
+const { isPhoneVerificationRequired } = require('./phone');
+const { getUserFacingReason } = require('./statusReasons');
+
+// Reasons a user account may not sign in or use the API.
+// Shared by the login handler and verifyUserToken so both give the same answer.
+// Returns null when the account is usable, otherwise { statusCode, body }.
+const getAccountBlock = (user) => {
+  // Unverified signups never reach the approval queue
+  if (user.status === 'pending' && isPhoneVerificationRequired() && !user.phoneVerified) {
+    return {
+      statusCode: 403,
+      body: {
+        success: false,
+        message: 'Please verify your phone number to complete registration.',
+        status: 'pending',
+        code: 'PHONE_NOT_VERIFIED',
+      },
+    };
+  }
+
+  if (user.status === 'pending') {
+    return {
+      statusCode: 403,
+      body: {
+        success: false,
+        message: 'Your account is pending approval. Please wait for admin approval.',
+        status: 'pending',
+      },
+    };
+  }
+
+  if (user.status === 'rejected') {
+    const reason = getUserFacingReason(user);
+    return {
+      statusCode: 403,
+      body: {
+        success: false,
+        message: reason
+          ? `Your account has been rejected. ${reason.message} Please contact support.`
+          : 'Your account has been rejected. Please contact support.',
+        status: 'rejected',
+        reason,
+      },
+    };
+  }
+
+  if (user.isDemo && user.demo.expiresAt && user.demo.expiresAt <= Date.now()) {
+    return {
+      statusCode: 403,
+      body: {
+        success: false,
+        message: 'This demo account has expired.',
+        code: 'DEMO_EXPIRED',
+      },
+    };
+  }
+
+  if (!user.isActive) {
+    return {
+      statusCode: 403,
+      body: {
+        success: false,
+        message: 'Your account has been deactivated. Please contact support.',
+      },
+    };
+  }
+
+  return null;
+};
+
+module.exports = { getAccountBlock };
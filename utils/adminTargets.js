@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const { SUPER_ADMIN_ROLE } = require('./permissions');
+
+// Only super admins can create super admins or change one
+const canTouchSuperAdmin = (req, ...roles) => {
+  return req.admin.role === SUPER_ADMIN_ROLE || !roles.includes(SUPER_ADMIN_ROLE);
+};
+
+// Load the target admin of an :adminId route, refusing changes to yourself and
+// to super admins unless you are one. Sends the response and returns null on failure.
+const loadTargetAdmin = async (req, res, action) => {
+  const { adminId } = req.params;
+
+  if (!mongoose.isValidObjectId(adminId)) {
+    res.status(404).json({
+      success: false,
+      message: 'Admin not found',
+    });
+    return null;
+  }
+
+  if (String(req.admin._id) === adminId) {
+    res.status(400).json({
+      success: false,
+      message: `You cannot ${action} your own account`,
+    });
+    return null;
+  }
+
+  const admin = await Admin.findById(adminId);
+  if (!admin) {
+    res.status(404).json({
+      success: false,
+      message: 'Admin not found',
+    });
+    return null;
+  }
+
+  if (!canTouchSuperAdmin(req, admin.role)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only super admins can manage super admin accounts',
+    });
+    return null;
+  }
+
+  return admin;
+};
+
+module.exports = {
+  canTouchSuperAdmin,
+  loadTargetAdmin,
+};
@@ -0,0 +1,24 @@
+// App versions as sent by the app (X-App-Version): 1, 1.4 or 1.4.0
+const APP_VERSION = /^\d+(\.\d+){0,2}$/;
+
+const isValidAppVersion = (value) => typeof value === 'string' && APP_VERSION.test(value);
+
+// Negative, zero or positive like a sort comparator; missing parts count as 0
+const compareAppVersions = (a, b) => {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+
+  for (let i = 0; i < 3; i += 1) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+};
+
+module.exports = {
+  APP_VERSION,
+  isValidAppVersion,
+  compareAppVersions,
+};
@@ -0,0 +1,91 @@
+// Minimal CSV helpers (RFC 4180)
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Only text cells can be formula injection; keep negative numbers as numbers
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted
+// fields with embedded commas, quotes and line breaks, CRLF or LF line
+// endings and a leading byte order mark. Blank lines are skipped.
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Undo the formula guard added by escapeCsvValue, so exported files import cleanly
+const unescapeCsvValue = (value) => {
+  return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow,
+  parseCsv,
+  unescapeCsvValue,
+};
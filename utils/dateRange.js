@@ -0,0 +1,106 @@
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Canonical IANA name of a valid time zone, e.g. "asia/manila" becomes
+// "Asia/Manila" - MongoDB only accepts the exact name
+const canonicalTimeZone = (timeZone) => {
+  return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+};
+
+const localParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  return Object.fromEntries(parts.map(({ type, value }) => [type, value]));
+};
+
+// Calendar date (YYYY-MM-DD) of an instant in a time zone
+const localDate = (date, timeZone = 'UTC') => {
+  const { year, month, day } = localParts(date, timeZone);
+  return `${year}-${month}-${day}`;
+};
+
+// Milliseconds the time zone is ahead of UTC at an instant
+const timeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = localParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant a calendar date (YYYY-MM-DD) starts in a time zone
+const startOfLocalDay = (dateString, timeZone = 'UTC') => {
+  const midnightUtc = new Date(`${dateString}T00:00:00Z`);
+  if (Number.isNaN(midnightUtc.getTime())) {
+    return midnightUtc;
+  }
+  const guess = new Date(midnightUtc.getTime() - timeZoneOffset(midnightUtc, timeZone));
+  // Second pass in case the offset differs at the real instant (DST change)
+  return new Date(midnightUtc.getTime() - timeZoneOffset(guess, timeZone));
+};
+
+// YYYY-MM-DD `days` calendar days after another
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+// Build a Mongo condition for a from/to query string pair (ISO 8601).
+// Date-only values are days in `timeZone` (UTC by default), and a date-only
+// `to` (2024-03-31) includes that whole day.
+// Returns null when neither bound is given; throws on an unparseable date.
+const buildDateRange = (from, to, timeZone = 'UTC') => {
+  const range = {};
+
+  if (from) {
+    const start = DATE_ONLY.test(from) ? startOfLocalDay(from, timeZone) : new Date(from);
+    if (Number.isNaN(start.getTime())) {
+      throw new Error(`Invalid date: ${from}`);
+    }
+    range.$gte = start;
+  }
+
+  if (to) {
+    if (DATE_ONLY.test(to)) {
+      if (Number.isNaN(new Date(to).getTime())) {
+        throw new Error(`Invalid date: ${to}`);
+      }
+      range.$lt = startOfLocalDay(addDays(to, 1), timeZone);
+    } else {
+      const end = new Date(to);
+      if (Number.isNaN(end.getTime())) {
+        throw new Error(`Invalid date: ${to}`);
+      }
+      range.$lte = end;
+    }
+  }
+
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+module.exports = {
+  DATE_ONLY,
+  isValidTimeZone,
+  canonicalTimeZone,
+  localDate,
+  startOfLocalDay,
+  addDays,
+  buildDateRange,
+};
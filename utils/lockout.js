@@ -0,0 +1,54 @@
+// Temporary account lockout after repeated failed logins (User and Admin)
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_DURATION_MINUTES = parseInt(process.env.LOCKOUT_DURATION_MINUTES, 10) || 15;
+
+const isLocked = (account) => {
+  return Boolean(account.lockUntil && account.lockUntil > Date.now());
+};
+
+// Minutes left on a lock, rounded up, for user-facing messages
+const lockMinutesRemaining = (account) => {
+  return Math.max(1, Math.ceil((account.lockUntil - Date.now()) / 60000));
+};
+
+// Count a wrong password; lock the account once the threshold is reached.
+// Returns true if this attempt locked the account.
+const registerFailedLogin = async (Model, account) => {
+  const updated = await Model.findOneAndUpdate(
+    { _id: account._id },
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: new Date() },
+    },
+    { new: true }
+  );
+
+  if (updated && updated.failedLoginAttempts >= LOCKOUT_THRESHOLD) {
+    await Model.updateOne(
+      { _id: account._id },
+      {
+        $set: {
+          failedLoginAttempts: 0,
+          lockUntil: new Date(Date.now() + LOCKOUT_DURATION_MINUTES * 60 * 1000),
+        },
+      }
+    );
+    return true;
+  }
+
+  return false;
+};
+
+// Reset the counters on a successful login (caller saves the document)
+const clearFailedLogins = (account) => {
+  account.failedLoginAttempts = 0;
+  account.lockUntil = undefined;
+};
+
+module.exports = {
+  LOCKOUT_DURATION_MINUTES,
+  isLocked,
+  lockMinutesRemaining,
+  registerFailedLogin,
+  clearFailedLogins,
+};
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Opaque cursors for "newest first" lists sorted by { createdAt: -1, _id: -1 }.
+// The cursor is the position of the last item returned.
+
+const encodeCursor = (doc) => {
+  const payload = JSON.stringify({ c: doc.createdAt.toISOString(), i: String(doc._id) });
+  return Buffer.from(payload).toString('base64url');
+};
+
+// Returns { createdAt, id } or null if the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const createdAt = new Date(c);
+
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(i)) {
+      return null;
+    }
+    return { createdAt, id: new mongoose.Types.ObjectId(i) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query condition selecting items that come after the cursor
+const afterCursorFilter = ({ createdAt, id }) => ({
+  $or: [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { $lt: id } },
+  ],
+});
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursorFilter,
+};
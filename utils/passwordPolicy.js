@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { body } = require('express-validator');
+
+// Password rules, configurable per deployment. Defaults match the original
+// "at least 6 characters" rule so existing passwords stay valid.
+const isEnabled = (value) => value === 'true' || value === '1';
+
+const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 6,
+  requireUppercase: isEnabled(process.env.PASSWORD_REQUIRE_UPPERCASE),
+  requireLowercase: isEnabled(process.env.PASSWORD_REQUIRE_LOWERCASE),
+  requireNumber: isEnabled(process.env.PASSWORD_REQUIRE_NUMBER),
+  requireSymbol: isEnabled(process.env.PASSWORD_REQUIRE_SYMBOL),
+});
+
+// Returns a list of rule violations (empty when the password is acceptable)
+const checkPassword = (password) => {
+  const policy = getPasswordPolicy();
+  const problems = [];
+  const value = typeof password === 'string' ? password : '';
+
+  if (value.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(value)) {
+    problems.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    problems.push('Password must contain a symbol');
+  }
+
+  return problems;
+};
+
+// express-validator chain enforcing the policy on a request body field
+const passwordPolicyValidator = (field = 'password') => {
+  return body(field).custom((value) => {
+    const problems = checkPassword(value);
+    if (problems.length > 0) {
+      throw new Error(problems[0]);
+    }
+    return true;
+  });
+};
+
+const PASSWORD_CHARSETS = [
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  'abcdefghijkmnopqrstuvwxyz',
+  '23456789',
+  '!@#$%*-_',
+];
+
+// Random password that satisfies any configured policy (at least one character
+// from every class), for accounts created or rotated by an admin
+const generatePassword = () => {
+  const length = Math.max(getPasswordPolicy().minLength, 14);
+  const all = PASSWORD_CHARSETS.join('');
+  const chars = PASSWORD_CHARSETS.map(set => set[crypto.randomInt(set.length)]);
+
+  while (chars.length < length) {
+    chars.push(all[crypto.randomInt(all.length)]);
+  }
+
+  // Shuffle so the guaranteed characters aren't always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+};
+
+module.exports = {
+  getPasswordPolicy,
+  checkPassword,
+  generatePassword,
+  passwordPolicyValidator,
+};
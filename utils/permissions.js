@@ -0,0 +1,59 @@
+// Admin permissions. Roles (models/Role.js) bundle these, and routes check
+// them with requirePermission() from middleware/auth.js.
+const PERMISSIONS = {
+  'users.read': 'View users, their balance history and lockouts',
+  'users.approve': 'Approve or reject pending users',
+  'users.update': 'Activate/deactivate users, unlock them and force password changes',
+  'users.delete': 'Delete users',
+  'users.export': 'Export user lists',
+  'users.import': 'Create users in bulk from a CSV file',
+  'balance.adjust': 'Credit or debit user balances',
+  'stats.read': 'View dashboard statistics',
+  'settings.read': 'View app settings',
+  'settings.write': 'Change app settings',
+  'games.write': 'Create, update and delete games',
+  'demo.manage': 'Manage demo / reviewer accounts',
+  'admins.manage': 'Manage admin accounts',
+  'roles.manage': 'Create, edit and delete roles',
+  'audit.read': 'View the audit log of admin actions',
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Always has every permission and can't be edited or deleted, so there is
+// no way to lock everyone out
+const SUPER_ADMIN_ROLE = 'super_admin';
+
+// Roles created on startup if they don't exist. `admin` keeps what a plain
+// admin could do before roles existed.
+const BUILT_IN_ROLES = [
+  {
+    name: SUPER_ADMIN_ROLE,
+    description: 'Full access, including admin and role management',
+    permissions: ALL_PERMISSIONS,
+  },
+  {
+    name: 'admin',
+    description: 'Day-to-day user management',
+    permissions: [
+      'users.read',
+      'users.approve',
+      'users.update',
+      'balance.adjust',
+      'stats.read',
+      'settings.read',
+      'settings.write',
+      'games.write',
+    ],
+  },
+];
+
+const isValidPermission = (permission) => ALL_PERMISSIONS.includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SUPER_ADMIN_ROLE,
+  BUILT_IN_ROLES,
+  isValidPermission,
+};
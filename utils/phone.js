@@ -0,0 +1,54 @@
+const { parsePhoneNumberFromString, getCountryCallingCode } = require('libphonenumber-js');
+
+// Country assumed for numbers typed without a +country code (ISO 3166 alpha-2)
+const getDefaultCountry = () => process.env.DEFAULT_PHONE_COUNTRY || 'PH';
+
+// Convert any accepted spelling of a phone number to E.164 (+639171234567).
+// Returns null when the input is not a valid number.
+const normalizePhone = (input, country = getDefaultCountry()) => {
+  if (typeof input !== 'string' || !input.trim()) {
+    return null;
+  }
+
+  const parsed = parsePhoneNumberFromString(input.trim(), country);
+  if (!parsed || !parsed.isValid()) {
+    return null;
+  }
+
+  return parsed.number;
+};
+
+// Values to match against User.phone when looking an account up. Accounts
+// created before normalization may still hold the number exactly as typed.
+const phoneLookupValues = (input) => {
+  const raw = String(input).trim();
+  const normalized = normalizePhone(raw);
+
+  return normalized && normalized !== raw ? [normalized, raw] : [raw];
+};
+
+// Start of the E.164 form of a partly typed number, for prefix searches:
+// "0917 12" becomes "+6391712", "+63 917" becomes "+63917". Returns null for
+// anything that isn't digits (with spaces, dashes or brackets).
+const phoneSearchPrefix = (input, country = getDefaultCountry()) => {
+  const compact = String(input).replace(/[\s\-().]/g, '');
+
+  if (/^\+\d+$/.test(compact)) {
+    return compact;
+  }
+  if (/^0\d+$/.test(compact)) {
+    return `+${getCountryCallingCode(country)}${compact.slice(1)}`;
+  }
+  return null;
+};
+
+const isPhoneVerificationRequired = () => {
+  return process.env.REQUIRE_PHONE_VERIFICATION === 'true';
+};
+
+module.exports = {
+  normalizePhone,
+  phoneLookupValues,
+  phoneSearchPrefix,
+  isPhoneVerificationRequired,
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Access tokens are short-lived; the refresh token keeps mobile users signed in
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+// A client retrying a refresh it already completed (e.g. flaky network) is not
+// treated as token theft if it happens within this many seconds of the rotation
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS, 10) || 10;
+
+// How many rotated-out token hashes to remember per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 100;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+const refreshExpiryDate = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Generate a short-lived access token bound to a session
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign({
+    id: user._id,
+    sid: sessionId,
+    tv: user.tokenVersion || 0,
+  }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+  });
+};
+
+// Device details sent by the app, plus what we can see on the request
+const getDeviceInfo = (req) => {
+  const { deviceId, deviceName, platform, appVersion } = req.body || {};
+
+  return {
+    deviceId,
+    deviceName,
+    platform: platform || req.get('x-app-platform'),
+    appVersion: appVersion || req.get('x-app-version'),
+    userAgent: req.get('user-agent'),
+  };
+};
+
+// Build the token part of a login/refresh response
+const buildTokenResponse = (user, session, refreshToken) => {
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+};
+
+// Start a new session for a user that just logged in
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: getDeviceInfo(req),
+    ip: req.ip,
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: refreshExpiryDate(),
+  });
+
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one.
+// Returns { session, refreshToken } on success, { reuseDetected: true } when an
+// already-rotated token is presented (the whole session is revoked), or null
+// when the token is unknown, expired or revoked.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastSeenAt: now,
+        lastRotatedAt: now,
+        ip: req.ip,
+        expiresAt: refreshExpiryDate(),
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS },
+      },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: newRefreshToken };
+  }
+
+  // Not a current token - check whether it was already rotated out
+  const reused = await Session.findOne({ previousTokenHashes: tokenHash })
+    .select('+previousTokenHashes');
+
+  if (!reused) {
+    return null;
+  }
+
+  if (reused.revokedAt) {
+    return { reuseDetected: true };
+  }
+
+  const lastRotated = reused.previousTokenHashes[reused.previousTokenHashes.length - 1];
+  const withinGrace = lastRotated === tokenHash && reused.lastRotatedAt &&
+    now - reused.lastRotatedAt < REFRESH_REUSE_GRACE_SECONDS * 1000;
+
+  if (withinGrace) {
+    return null;
+  }
+
+  // An old token came back: assume it was stolen and kill the session
+  await revokeSession(reused._id, 'reuse_detected');
+  console.warn(`Refresh token reuse detected for session ${reused._id} (user ${reused.user})`);
+
+  return { reuseDetected: true, session: reused };
+};
+
+const revokeSession = async (sessionId, reason) => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+const revokeAllSessions = async (userId, reason) => {
+  return Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  buildTokenResponse,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+};
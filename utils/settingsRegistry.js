@@ -0,0 +1,245 @@
+const { APP_VERSION, isValidAppVersion } = require('./appVersion');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Who a WebView URL rule applies to. Statuses are as reported at login, so
+// demo accounts are 'demo'.
+const RULE_FIELDS = ['name', 'url', 'platforms', 'minAppVersion', 'maxAppVersion', 'statuses', 'segments'];
+const RULE_STATUSES = ['pending', 'approved', 'rejected', 'demo'];
+const MAX_RULES = 50;
+
+const isStringList = value => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim());
+
+// Error message for one WebView URL rule, or null
+const checkWebViewUrlRule = (rule) => {
+  if (!isPlainObject(rule)) {
+    return 'must be an object';
+  }
+  const unknown = Object.keys(rule).filter(field => !RULE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return `has unknown field(s): ${unknown.join(', ')}`;
+  }
+  if (rule.name !== undefined && typeof rule.name !== 'string') {
+    return 'name must be text';
+  }
+  try {
+    if (!['http:', 'https:'].includes(new URL(rule.url).protocol)) {
+      return 'url must be an http(s) URL';
+    }
+  } catch (e) {
+    return 'url must be a valid URL (including https://)';
+  }
+  for (const field of ['platforms', 'statuses', 'segments']) {
+    if (rule[field] !== undefined && !isStringList(rule[field])) {
+      return `${field} must be a non-empty list of names`;
+    }
+  }
+  if (rule.statuses && rule.statuses.some(status => !RULE_STATUSES.includes(status))) {
+    return `statuses must be from: ${RULE_STATUSES.join(', ')}`;
+  }
+  for (const field of ['minAppVersion', 'maxAppVersion']) {
+    if (rule[field] !== undefined && !isValidAppVersion(rule[field])) {
+      return `${field} must be a version like 1.4.0`;
+    }
+  }
+  return null;
+};
+
+// Every app setting an admin can change. A key must be declared here before
+// it can be read or written.
+//
+//   type           url | boolean | number | string | enum | json
+//   default        value (or function returning it) used until an admin sets one
+//   description    shown in the admin dashboard
+//   clientVisible  served to the app by the public GET /api/config - never
+//                  set it on anything admin-only
+//   min, max       number bounds; integer: true rejects fractions
+//   pattern        regular expression a string must match; maxLength
+//   values         allowed values of an enum
+//   validate       optional (value) => error message or null, after the type check
+const SETTINGS = {
+  webViewUrl: {
+    type: 'url',
+    default: () => process.env.WEBVIEW_URL || `http://localhost:${process.env.PORT || 3332}/app-guide`,
+    description: 'URL shown in mobile app WebView after login',
+    clientVisible: true,
+  },
+  // Checked in order by services/webView.js; the first match wins, otherwise
+  // webViewUrl is used. Admin-only: the rules themselves never reach the app.
+  webViewUrlRules: {
+    type: 'json',
+    default: () => [],
+    description: 'WebView URLs by platform, app version, user status or segment; the first matching rule wins',
+    validate: (value) => {
+      if (!Array.isArray(value)) {
+        return 'must be a list of rules';
+      }
+      if (value.length > MAX_RULES) {
+        return `can have at most ${MAX_RULES} rules`;
+      }
+      for (const [index, rule] of value.entries()) {
+        const error = checkWebViewUrlRule(rule);
+        if (error) {
+          return `rule ${index + 1}: ${error}`;
+        }
+      }
+      return null;
+    },
+  },
+  maintenanceMode: {
+    type: 'boolean',
+    default: false,
+    description: 'Tell the app the service is down for maintenance',
+    clientVisible: true,
+  },
+  maintenanceMessage: {
+    type: 'string',
+    default: '',
+    maxLength: 500,
+    description: 'Message the app shows during maintenance',
+    clientVisible: true,
+  },
+  minAppVersion: {
+    type: 'string',
+    default: '0.0.0',
+    pattern: APP_VERSION,
+    description: 'Oldest app version allowed to run (e.g. 1.4.0); older apps must update',
+    clientVisible: true,
+  },
+  featureToggles: {
+    type: 'json',
+    default: () => ({}),
+    description: 'Feature flags for the app, e.g. { "games": true }',
+    clientVisible: true,
+    validate: (value) => {
+      if (!isPlainObject(value) || Object.values(value).some(flag => typeof flag !== 'boolean')) {
+        return 'must be an object of true/false flags';
+      }
+      return null;
+    },
+  },
+  supportContact: {
+    type: 'json',
+    default: () => ({}),
+    description: 'Support contact shown in the app: { email, phone, url }',
+    clientVisible: true,
+    validate: (value) => {
+      if (!isPlainObject(value)) {
+        return 'must be an object with email, phone and/or url';
+      }
+      const unknown = Object.keys(value).filter(field => !['email', 'phone', 'url'].includes(field));
+      if (unknown.length > 0) {
+        return `has unknown field(s): ${unknown.join(', ')}`;
+      }
+      if (Object.values(value).some(field => typeof field !== 'string')) {
+        return 'fields must be strings';
+      }
+      return null;
+    },
+  },
+};
+
+const isKnownSetting = (key) => Object.prototype.hasOwnProperty.call(SETTINGS, key);
+
+const getDefaultValue = (key) => {
+  const fallback = SETTINGS[key].default;
+  return typeof fallback === 'function' ? fallback() : fallback;
+};
+
+// Checks and normalizes a value for each type. Strings are accepted for
+// booleans and numbers so form posts work too.
+const TYPE_PARSERS = {
+  url: (value) => {
+    if (typeof value !== 'string') {
+      return { error: 'must be a URL' };
+    }
+    try {
+      const url = new URL(value.trim());
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return { error: 'must be an http(s) URL' };
+      }
+    } catch (e) {
+      return { error: 'must be a valid URL (including https://)' };
+    }
+    return { value: value.trim() };
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') {
+      return { value };
+    }
+    if (value === 'true' || value === 'false') {
+      return { value: value === 'true' };
+    }
+    return { error: 'must be true or false' };
+  },
+  number: (value, definition) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      return { error: 'must be a number' };
+    }
+    if (definition.integer && !Number.isInteger(number)) {
+      return { error: 'must be a whole number' };
+    }
+    if (definition.min !== undefined && number < definition.min) {
+      return { error: `must be at least ${definition.min}` };
+    }
+    if (definition.max !== undefined && number > definition.max) {
+      return { error: `must be at most ${definition.max}` };
+    }
+    return { value: number };
+  },
+  string: (value, definition) => {
+    if (typeof value !== 'string') {
+      return { error: 'must be text' };
+    }
+    const text = value.trim();
+    if (definition.maxLength !== undefined && text.length > definition.maxLength) {
+      return { error: `must be at most ${definition.maxLength} characters` };
+    }
+    if (definition.pattern && !definition.pattern.test(text)) {
+      return { error: 'has an invalid format' };
+    }
+    return { value: text };
+  },
+  enum: (value, definition) => {
+    if (!definition.values.includes(value)) {
+      return { error: `must be one of: ${definition.values.join(', ')}` };
+    }
+    return { value };
+  },
+  json: (value) => {
+    if (value === undefined) {
+      return { error: 'is required' };
+    }
+    return { value };
+  },
+};
+
+// { value } normalized for storage, or { error } with a readable message
+const parseSettingValue = (key, value) => {
+  const definition = SETTINGS[key];
+  const result = TYPE_PARSERS[definition.type](value, definition);
+
+  if (result.error) {
+    return { error: `${key} ${result.error}` };
+  }
+
+  if (definition.validate) {
+    const error = definition.validate(result.value);
+    if (error) {
+      return { error: `${key} ${error}` };
+    }
+  }
+
+  return result;
+};
+
+const getClientVisibleKeys = () => Object.keys(SETTINGS).filter(key => SETTINGS[key].clientVisible);
+
+module.exports = {
+  SETTINGS,
+  isKnownSetting,
+  getClientVisibleKeys,
+  getDefaultValue,
+  parseSettingValue,
+};
@@ -0,0 +1,71 @@
+// Reason codes an admin can give when approving or rejecting a user.
+// `message` is the only text ever shown to the user; the admin's free-text
+// note stays internal.
+const STATUS_REASONS = {
+  approved: {
+    identity_verified: {
+      label: 'Identity verified',
+      message: 'Your details have been verified.',
+    },
+    manual_review: {
+      label: 'Approved after manual review',
+      message: 'Your account was approved after review.',
+    },
+    other: {
+      label: 'Other',
+      message: null,
+    },
+  },
+  rejected: {
+    incomplete_information: {
+      label: 'Incomplete information',
+      message: 'The information provided at registration was incomplete.',
+    },
+    unverifiable_identity: {
+      label: 'Identity could not be verified',
+      message: 'We could not verify your identity.',
+    },
+    duplicate_account: {
+      label: 'Duplicate account',
+      message: 'An account with these details already exists.',
+    },
+    underage: {
+      label: 'Under the minimum age',
+      message: 'You must be of legal age to use Philucky.',
+    },
+    restricted_region: {
+      label: 'Restricted region',
+      message: 'Philucky is not available in your region.',
+    },
+    terms_violation: {
+      label: 'Terms of service violation',
+      message: 'Your registration does not meet our terms of service.',
+    },
+    other: {
+      label: 'Other',
+      message: null,
+    },
+  },
+};
+
+const getReasonCodes = (status) => Object.keys(STATUS_REASONS[status] || {});
+
+const isValidReasonCode = (status, code) => getReasonCodes(status).includes(code);
+
+// { code, message } safe to show the user for their current status, or null
+const getUserFacingReason = (user) => {
+  const code = user.statusReason && user.statusReason.code;
+  const reason = code && STATUS_REASONS[user.status] && STATUS_REASONS[user.status][code];
+
+  if (!reason || !reason.message) {
+    return null;
+  }
+  return { code, message: reason.message };
+};
+
+module.exports = {
+  STATUS_REASONS,
+  getReasonCodes,
+  isValidReasonCode,
+  getUserFacingReason,
+};
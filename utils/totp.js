@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) compatible with Google
+// Authenticator, Authy, 1Password etc.: SHA-1, 6 digits, 30 second steps.
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, base32 encoded as authenticator apps expect
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// HOTP (RFC 4226) value for a counter
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// Check a code against the current time step, allowing `window` steps of
+// clock drift either way. Returns the matching step (so callers can refuse to
+// accept the same code twice), or null when the code is wrong.
+const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(token)) {
+    return null;
+  }
+
+  const step = currentStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(token))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI for enrolling an authenticator app (render it as a QR code)
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  verifyTotp,
+  buildOtpauthUri,
+};
@@ -0,0 +1,149 @@
+const { query } = require('express-validator');
+const { buildDateRange } = require('./dateRange');
+const { normalizePhone, phoneSearchPrefix, isPhoneVerificationRequired } = require('./phone');
+
+// User search/filter parameters shared by the admin user list, bulk actions
+// and exports, so the same selection means the same users everywhere.
+//
+//   search                      phone, email or username starts with (prefix
+//                               only, no matches inside the text)
+//   status                      pending | approved | rejected; pending leaves out
+//                               unverified phones when verification is required
+//   isActive, phoneVerified     true | false
+//   createdFrom, createdTo      ISO 8601; a date-only "to" includes that day
+//   lastLoginFrom, lastLoginTo
+//   balanceMin, balanceMax
+//   deleted                     true lists soft-deleted users instead (user list only)
+
+const SORT_FIELDS = ['createdAt', 'lastLogin', 'balance', 'username', 'phone', 'status'];
+
+const FILTER_FIELDS = [
+  'search',
+  'status',
+  'isActive',
+  'phoneVerified',
+  'createdFrom',
+  'createdTo',
+  'lastLoginFrom',
+  'lastLoginTo',
+  'balanceMin',
+  'balanceMax',
+];
+
+// Validators for the filter parameters. They read the query string unless
+// `field` builds the chain elsewhere, e.g. name => body(`filter.${name}`).
+const userFilterValidators = (field = query) => [
+  field('search').optional().isString().trim().isLength({ max: 100 })
+    .withMessage('search must be at most 100 characters'),
+  field('status').optional().isIn(['pending', 'approved', 'rejected'])
+    .withMessage('status must be pending, approved or rejected'),
+  field('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean(),
+  field('phoneVerified').optional().isBoolean().withMessage('phoneVerified must be true or false').toBoolean(),
+  ...['createdFrom', 'createdTo', 'lastLoginFrom', 'lastLoginTo'].map(name => (
+    field(name).optional().isISO8601().withMessage(`${name} must be an ISO 8601 date`)
+  )),
+  ...['balanceMin', 'balanceMax'].map(name => (
+    field(name).optional().isFloat().withMessage(`${name} must be a number`).toFloat()
+  )),
+];
+
+// Validators for list pagination and sorting (query string only)
+const userListValidators = [
+  ...userFilterValidators(),
+  query('sort').optional().customSanitizer(value => String(value))
+    .isIn(SORT_FIELDS.flatMap(field => [field, `-${field}`]))
+    .withMessage(`sort must be one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)`),
+  query('deleted').optional().isBoolean().withMessage('deleted must be true or false').toBoolean(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt(),
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mongo filter for validated parameters. Demo accounts are always excluded;
+// they are managed under /api/admin/demo-accounts.
+const buildUserFilter = (params = {}) => {
+  const filter = { isDemo: { $ne: true } };
+
+  if (params.search) {
+    // Anchored, case-sensitive prefixes so each one can use its index (a
+    // case-insensitive or unanchored regex scans every user). Emails are
+    // stored in lower case; usernames match as typed or in lower case.
+    const prefix = text => new RegExp(`^${escapeRegex(text)}`);
+    const lower = params.search.toLowerCase();
+    const or = [{ phone: prefix(params.search) }, { email: prefix(lower) }, { username: prefix(params.search) }];
+    if (lower !== params.search) {
+      or.push({ username: prefix(lower) });
+    }
+
+    // "0917 123 4567" should find +639171234567, and "0917" every number
+    // starting +63917
+    const phone = normalizePhone(params.search);
+    const phonePrefix = phoneSearchPrefix(params.search);
+    if (phone) {
+      or.push({ phone });
+    } else if (phonePrefix && phonePrefix !== params.search) {
+      or.push({ phone: prefix(phonePrefix) });
+    }
+    filter.$or = or;
+  }
+
+  // Otherwise the User query hook leaves deleted users out
+  if (params.deleted) {
+    filter.deletedAt = { $ne: null };
+  }
+
+  if (params.status) {
+    filter.status = params.status;
+  }
+  if (params.isActive !== undefined) {
+    filter.isActive = params.isActive;
+  }
+  if (params.phoneVerified !== undefined) {
+    filter.phoneVerified = params.phoneVerified;
+  }
+  // Signups that haven't confirmed their phone aren't in the approval queue yet
+  if (params.status === 'pending' && isPhoneVerificationRequired()) {
+    filter.phoneVerified = true;
+  }
+
+  const createdAt = buildDateRange(params.createdFrom, params.createdTo);
+  if (createdAt) {
+    filter.createdAt = createdAt;
+  }
+
+  const lastLogin = buildDateRange(params.lastLoginFrom, params.lastLoginTo);
+  if (lastLogin) {
+    filter.lastLogin = lastLogin;
+  }
+
+  if (params.balanceMin !== undefined || params.balanceMax !== undefined) {
+    filter.balance = {};
+    if (params.balanceMin !== undefined) {
+      filter.balance.$gte = params.balanceMin;
+    }
+    if (params.balanceMax !== undefined) {
+      filter.balance.$lte = params.balanceMax;
+    }
+  }
+
+  return filter;
+};
+
+// { field: 1 | -1, _id } from "field" / "-field"; _id keeps pages stable
+const buildUserSort = (sort = '-createdAt') => {
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  const direction = descending ? -1 : 1;
+
+  return { [field]: direction, _id: direction };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  FILTER_FIELDS,
+  userFilterValidators,
+  userListValidators,
+  buildUserFilter,
+  buildUserSort,
+};